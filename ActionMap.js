@@ -0,0 +1,154 @@
+import Keyboard from "./Keyboard.js";
+
+// Names keyboard input by what it does. Actions ("jump") are bound to keys
+// and axes ("moveX") to a negative and a positive list of keys.
+class ActionMap {
+
+  static _checkKey(key, forHolding) {
+    if (typeof key !== "string") throw TypeError("key must be a KeyboardEvent code string.");
+    if (Keyboard.undetectableKeys.has(key)) throw Error("Key " + key + " can't be detected reliably, so it can't be bound.");
+    // These keys are only ever pressed, never held.
+    if (forHolding && Keyboard.pressOnlyKeys.has(key)) throw Error("Key " + key + " can't be held, so it can't be bound to an axis.");
+  }
+
+  _getAction(name) {
+    const keys = this._actions.get(name);
+    if (!keys) throw Error("Unknown action " + name + ".");
+    return keys;
+  }
+
+  _getAxis(name) {
+    const axis = this._axes.get(name);
+    if (!axis) throw Error("Unknown axis " + name + ".");
+    return axis;
+  }
+
+  constructor(keyboard) {
+    this.keyboard = keyboard;
+    this._actions = new Map(); // name: set of keys
+    this._axes = new Map(); // name: {negative: set of keys, positive: set of keys}
+  }
+
+  defineAction(name, keys = []) {
+    if (this._actions.has(name) || this._axes.has(name)) throw Error("Action or axis " + name + " already exists.");
+    this._actions.set(name, new Set());
+    this.rebind(name, keys);
+  }
+
+  defineAxis(name, negativeKeys = [], positiveKeys = []) {
+    if (this._actions.has(name) || this._axes.has(name)) throw Error("Action or axis " + name + " already exists.");
+    this._axes.set(name, {negative: new Set(), positive: new Set()});
+    this.rebindAxis(name, negativeKeys, positiveKeys);
+  }
+
+  // Press only keys (see Keyboard.pressOnlyKeys) can be bound, but the
+  // action will never be held or released through them.
+  bind(action, key) {
+    const keys = this._getAction(action);
+    ActionMap._checkKey(key, false);
+    keys.add(key);
+  }
+
+  unbind(action, key) {
+    return this._getAction(action).delete(key);
+  }
+
+  // Replaces every key bound to action.
+  rebind(action, keys) {
+    const bound = this._getAction(action);
+    for (const key of keys) ActionMap._checkKey(key, false);
+    bound.clear();
+    for (const key of keys) bound.add(key);
+  }
+
+  rebindAxis(axis, negativeKeys, positiveKeys) {
+    const bound = this._getAxis(axis);
+    for (const key of [...negativeKeys, ...positiveKeys]) ActionMap._checkKey(key, true);
+    bound.negative = new Set(negativeKeys);
+    bound.positive = new Set(positiveKeys);
+  }
+
+  getKeys(action) {
+    return new Set(this._getAction(action));
+  }
+
+  isPressed(action) {
+    for (const key of this._getAction(action)) {
+      if (this.keyboard.isPressed(key)) return true;
+    }
+    return false;
+  }
+
+  isHeld(action) {
+    for (const key of this._getAction(action)) {
+      if (this.keyboard.isHeld(key)) return true;
+    }
+    return false;
+  }
+
+  // True on the update the last held key of the action is released.
+  isReleased(action) {
+    let released = false;
+    for (const key of this._getAction(action)) {
+      if (this.keyboard.isHeld(key)) return false;
+      if (this.keyboard.isReleased(key)) released = true;
+    }
+    return released;
+  }
+
+  // -1, 0 or 1 depending on which side's keys are held.
+  getAxis(axis) {
+    const {negative, positive} = this._getAxis(axis);
+    let value = 0;
+    for (const key of negative) {
+      if (this.keyboard.isHeld(key)) {
+        value -= 1;
+        break;
+      }
+    }
+    for (const key of positive) {
+      if (this.keyboard.isHeld(key)) {
+        value += 1;
+        break;
+      }
+    }
+    return value;
+  }
+
+  saveBindings() {
+    const actions = {};
+    for (const [name, keys] of this._actions) {
+      actions[name] = Array.from(keys);
+    }
+    const axes = {};
+    for (const [name, {negative, positive}] of this._axes) {
+      axes[name] = {negative: Array.from(negative), positive: Array.from(positive)};
+    }
+    return JSON.stringify({actions, axes});
+  }
+
+  // Rebinds from saveBindings output (string or parsed object), defining
+  // actions and axes that don't exist yet. Nothing changes if a key is invalid.
+  loadBindings(json) {
+    if (typeof json === "string") json = JSON.parse(json);
+    const actions = Object.entries(json.actions || {});
+    const axes = Object.entries(json.axes || {});
+    for (const [, keys] of actions) {
+      for (const key of keys) ActionMap._checkKey(key, false);
+    }
+    for (const [, {negative = [], positive = []}] of axes) {
+      for (const key of [...negative, ...positive]) ActionMap._checkKey(key, true);
+    }
+
+    for (const [name, keys] of actions) {
+      if (!this._actions.has(name)) this.defineAction(name);
+      this.rebind(name, keys);
+    }
+    for (const [name, {negative = [], positive = []}] of axes) {
+      if (!this._axes.has(name)) this.defineAxis(name);
+      this.rebindAxis(name, negative, positive);
+    }
+  }
+}
+
+export default ActionMap;
@@ -0,0 +1,174 @@
+// Button names of the standard gamepad layout, by button index.
+// https://w3c.github.io/gamepad/#remapping
+const standardButtons = [
+  "A", "B", "X", "Y",
+  "LeftBumper", "RightBumper", "LeftTrigger", "RightTrigger",
+  "Back", "Start", "LeftStick", "RightStick",
+  "DPadUp", "DPadDown", "DPadLeft", "DPadRight",
+  "Home"
+];
+
+class Gamepad {
+
+  static get standardButtons() {
+    return standardButtons.slice();
+  }
+
+  _button(button) {
+    if (typeof button === "string") {
+      const index = standardButtons.indexOf(button);
+      if (index === -1) throw Error("Unknown button " + button + ".");
+      return index;
+    }
+    return button;
+  }
+
+  _findPad() {
+    const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+    if (this.index !== null) return pads[this.index] || null;
+    for (const pad of pads) {
+      if (pad && pad.connected) return pad;
+    }
+    return null;
+  }
+
+  _applyDeadzone(value) {
+    if (Math.abs(value) <= this.deadzone) return 0;
+    // Rescale so values start from 0 at the edge of the deadzone.
+    return Math.sign(value) * (Math.abs(value) - this.deadzone) / (1 - this.deadzone);
+  }
+
+  // Whether a gamepad connection event concerns the pad this reads.
+  _watches(gamepad) {
+    if (this.index !== null) return gamepad.index === this.index;
+    return !this._pad || gamepad.index === this._pad.index;
+  }
+
+  // index is the navigator.getGamepads() slot to read. With null the first
+  // connected gamepad is used. Axis values within deadzone of 0 read as 0.
+  constructor(index = null, deadzone = 0.2) {
+    this.index = index;
+    this.deadzone = deadzone;
+    this.connected = false;
+    // Whether the pad got connected or disconnected since the previous update.
+    this.wasConnected = false;
+    this.wasDisconnected = false;
+    this._connectedSinceUpdate = false;
+    this._disconnectedSinceUpdate = false;
+    this._pad = null;
+    this._pressedButtons = new Set();
+    this._releasedButtons = new Set();
+    this._heldButtons = new Set();
+    this._axes = [];
+    this._listeners = {
+      gamepadconnected: e => {
+        if (this._watches(e.gamepad)) this._connectedSinceUpdate = true;
+      },
+
+      gamepaddisconnected: e => {
+        if (this._watches(e.gamepad)) this._disconnectedSinceUpdate = true;
+      }
+    };
+
+    // Start listening
+    for (const [type, callback] of Object.entries(this._listeners)) {
+      window.addEventListener(type, callback);
+    }
+  }
+
+  getPressedButtons() {
+    return new Set(this._pressedButtons);
+  }
+
+  getReleasedButtons() {
+    return new Set(this._releasedButtons);
+  }
+
+  getHeldButtons() {
+    return new Set(this._heldButtons);
+  }
+
+  // button is an index or a name from Gamepad.standardButtons.
+  isPressed(button) {
+    return this._pressedButtons.has(this._button(button));
+  }
+
+  isReleased(button) {
+    return this._releasedButtons.has(this._button(button));
+  }
+
+  isHeld(button) {
+    return this._heldButtons.has(this._button(button));
+  }
+
+  // How far an analog button (e.g. a trigger) is pushed, from 0 to 1.
+  getButtonValue(button) {
+    if (!this._pad) return 0;
+    const state = this._pad.buttons[this._button(button)];
+    return state ? state.value : 0;
+  }
+
+  getAxis(index) {
+    return this._applyDeadzone(this._axes[index] || 0);
+  }
+
+  // Stick position with a round deadzone, so diagonals aren't cut off.
+  // stick is "left" (axes 0 and 1) or "right" (axes 2 and 3).
+  getStick(stick) {
+    const first = stick === "right" ? 2 : 0;
+    const x = this._axes[first] || 0;
+    const y = this._axes[first + 1] || 0;
+    const length = Math.sqrt(x ** 2 + y ** 2);
+    if (length <= this.deadzone) return {x: 0, y: 0};
+    const scale = Math.min(1, this._applyDeadzone(length)) / length;
+    return {x: x * scale, y: y * scale};
+  }
+
+  update() {
+    this._pressedButtons.clear();
+    this._releasedButtons.clear();
+
+    const pad = this._findPad();
+    const connectedBefore = this.connected;
+    this._pad = pad;
+    this.connected = !!pad && pad.connected !== false;
+    // Events catch a pad that was unplugged and plugged back in between updates.
+    this.wasConnected = this._connectedSinceUpdate || (this.connected && !connectedBefore);
+    this.wasDisconnected = this._disconnectedSinceUpdate || (!this.connected && connectedBefore);
+    this._connectedSinceUpdate = false;
+    this._disconnectedSinceUpdate = false;
+
+    const down = new Set();
+    if (this.connected) {
+      pad.buttons.forEach((button, index) => {
+        if (button.pressed) down.add(index);
+      });
+      this._axes = Array.from(pad.axes);
+    } else {
+      // Disconnecting releases everything
+      this._axes = [];
+    }
+
+    for (const button of down) {
+      if (!this._heldButtons.has(button)) {
+        this._pressedButtons.add(button);
+        this._heldButtons.add(button);
+      }
+    }
+
+    for (const button of this._heldButtons) {
+      if (!down.has(button)) {
+        this._releasedButtons.add(button);
+        this._heldButtons.delete(button);
+      }
+    }
+  }
+
+  destroy() {
+    for (const [type, callback] of Object.entries(this._listeners)) {
+      window.removeEventListener(type, callback);
+    }
+  }
+}
+
+export default Gamepad;
@@ -0,0 +1,38 @@
+// Records what a Keyboard reported on each simulation tick (keys, hold times
+// and triggered chords and sequences), along with the tick's deltaT, so the
+// session can be replayed with InputReplayer.
+class InputRecorder {
+  constructor(keyboard) {
+    this.keyboard = keyboard;
+    this.ticks = [];
+  }
+
+  // Call once per simulation tick, right after keyboard.update(),
+  // e.g. from the input system's earlyUpdate(deltaT) with world.pausedTick
+  // as paused. Paused ticks are skipped on replay.
+  capture(deltaT, paused = false) {
+    const keyboard = this.keyboard;
+    const held = Array.from(keyboard.getHeldKeys());
+    this.ticks.push({
+      deltaT,
+      pressed: Array.from(keyboard.getPressedKeys()),
+      released: Array.from(keyboard.getReleasedKeys()),
+      held,
+      pressTimes: held.map(key => keyboard.getPressTime(key)),
+      holdDurations: held.map(key => keyboard.getHoldDuration(key)),
+      triggered: Array.from(keyboard.getTriggered()),
+      paused
+    });
+  }
+
+  clear() {
+    this.ticks = [];
+  }
+
+  // The recording, for JSON.stringify and InputReplayer.
+  toJSON() {
+    return {version: 1, ticks: this.ticks};
+  }
+}
+
+export default InputRecorder;
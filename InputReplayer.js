@@ -0,0 +1,112 @@
+// Stands in for a Keyboard, reporting the keys of a recording made by
+// InputRecorder instead of live DOM events. Each update moves to the next tick.
+class InputReplayer {
+  constructor(json) {
+    if (typeof json === "string") json = JSON.parse(json);
+    if (!json || !Array.isArray(json.ticks)) throw TypeError("json must be an InputRecorder recording.");
+    this.ticks = json.ticks.map(tick => ({
+      deltaT: tick.deltaT,
+      pressed: new Set(tick.pressed),
+      released: new Set(tick.released),
+      held: new Set(tick.held),
+      // Recordings made before hold times and triggers were captured have none.
+      pressTimes: new Map(tick.pressTimes ? tick.held.map((key, i) => [key, tick.pressTimes[i]]) : []),
+      holdDurations: new Map(tick.holdDurations ? tick.held.map((key, i) => [key, tick.holdDurations[i]]) : []),
+      triggered: new Set(tick.triggered),
+      paused: !!tick.paused
+    }));
+    this._index = -1;
+  }
+
+  get _tick() {
+    return this.ticks[this._index];
+  }
+
+  // True once every recorded tick has been played.
+  get done() {
+    return this._index >= this.ticks.length - 1;
+  }
+
+  // Kept for Keyboard compatibility. There are no DOM events to prevent.
+  preventDefaults() {}
+
+  getPressedKeys() {
+    return new Set(this._tick ? this._tick.pressed : []);
+  }
+
+  getReleasedKeys() {
+    return new Set(this._tick ? this._tick.released : []);
+  }
+
+  getHeldKeys() {
+    return new Set(this._tick ? this._tick.held : []);
+  }
+
+  isPressed(key) {
+    return !!this._tick && this._tick.pressed.has(key);
+  }
+
+  isReleased(key) {
+    return !!this._tick && this._tick.released.has(key);
+  }
+
+  isHeld(key) {
+    return !!this._tick && this._tick.held.has(key);
+  }
+
+  getPressTime(key) {
+    return this._tick ? this._tick.pressTimes.get(key) : undefined;
+  }
+
+  getHoldDuration(key) {
+    return this._tick && this._tick.holdDurations.get(key) || 0;
+  }
+
+  isHeldFor(key, seconds) {
+    return this.isHeld(key) && this.getHoldDuration(key) >= seconds;
+  }
+
+  isTriggered(name) {
+    return !!this._tick && this._tick.triggered.has(name);
+  }
+
+  getTriggered() {
+    return new Set(this._tick ? this._tick.triggered : []);
+  }
+
+  // Chords and sequences were detected while recording, so registering is a no-op.
+  registerChord() {}
+
+  registerSequence() {}
+
+  unregister() {
+    return false;
+  }
+
+  update() {
+    if (this._index < this.ticks.length) this._index++;
+  }
+
+  rewind() {
+    this._index = -1;
+  }
+
+  // Steps world through every remaining recorded tick with its recorded deltaT.
+  // Something in world must call this replayer's update once per tick, the way
+  // an input system calls keyboard.update(). Ticks recorded while paused didn't
+  // simulate anything, so they're skipped.
+  replay(world, draw = false) {
+    for (let i = this._index + 1; i < this.ticks.length; i++) {
+      if (this.ticks[i].paused) {
+        this._index = i;
+        continue;
+      }
+      world.step(this.ticks[i].deltaT, draw);
+      if (this._index !== i) throw Error("Replayer wasn't updated exactly once during tick " + i + ".");
+    }
+  }
+
+  destroy() {}
+}
+
+export default InputReplayer;
@@ -0,0 +1,182 @@
+// Dom overlay listing a world's systems in run order (with Profiler stats if
+// world.profiler is set), its live queries and entities. Clicking an entity
+// shows its component values, which can be edited as json.
+const MAX_LISTED_ENTITIES = 200;
+
+class Inspector {
+
+  static _heading(text) {
+    const heading = document.createElement("div");
+    heading.textContent = text;
+    heading.style.fontWeight = "bold";
+    heading.style.marginTop = "6px";
+    return heading;
+  }
+
+  static _entityLabel(entity) {
+    return entity.name ? `${entity.name} #${entity.id}` : "#" + entity.id;
+  }
+
+  static _line(text) {
+    const line = document.createElement("div");
+    line.textContent = text;
+    return line;
+  }
+
+  _systemLine(system, index) {
+    const world = this.world;
+    let text = `${index}. ${system.name || "unnamed system"}`;
+    if (system.entities) text += ` [${system.entities.size}]`;
+    if (world.profiler) {
+      const stats = world.profiler.getStats(system);
+      for (const [phase, {averageTime}] of Object.entries(stats)) {
+        text += ` ${phase} ${averageTime.toFixed(2)}ms`;
+      }
+    }
+    return Inspector._line(text);
+  }
+
+  _renderOverview() {
+    const world = this.world;
+    const overview = this._overview;
+    overview.textContent = "";
+
+    overview.append(Inspector._heading("Systems"));
+    world.systems.forEach((system, index) => overview.append(this._systemLine(system, index)));
+
+    overview.append(Inspector._heading("Queries"));
+    for (const [key] of world.cachedQueries) {
+      overview.append(Inspector._line(`${key || "(all entities)"}: ${world.queries.get(key).size}`));
+    }
+    for (const [componentType, entities] of world.entitiesByComponentType) {
+      overview.append(Inspector._line(`${componentType.name}: ${entities.size}`));
+    }
+
+    overview.append(Inspector._heading(`Entities (${world.entities.size})`));
+    let listed = 0;
+    for (const entity of world.entities) {
+      if (listed++ === MAX_LISTED_ENTITIES) {
+        overview.append(Inspector._line("..."));
+        break;
+      }
+      const line = Inspector._line(Inspector._entityLabel(entity));
+      line.style.cursor = "pointer";
+      if (entity === this._selected) line.style.textDecoration = "underline";
+      line.addEventListener("click", () => this.select(entity));
+      overview.append(line);
+    }
+  }
+
+  _componentEditor(entity, componentType, value) {
+    const field = document.createElement("div");
+    field.append(Inspector._line(componentType.name));
+    if (value === this.world.ComponentType.tag) {
+      field.append(Inspector._line("(tag)"));
+      return field;
+    }
+
+    let json;
+    try {
+      json = componentType.serialize ? undefined : JSON.stringify(value, null, 1);
+    } catch (error) {
+      json = undefined;
+    }
+    if (json === undefined) {
+      // Not json, so it can only be looked at.
+      field.append(Inspector._line(String(value)));
+      return field;
+    }
+
+    const textarea = document.createElement("textarea");
+    textarea.value = json;
+    textarea.rows = Math.min(8, json.split("\n").length);
+    textarea.style.width = "100%";
+    textarea.style.font = "inherit";
+    textarea.addEventListener("change", () => {
+      try {
+        entity.setComponent(componentType, JSON.parse(textarea.value));
+        textarea.style.outline = "";
+      } catch (error) {
+        textarea.style.outline = "2px solid red";
+        textarea.title = error.message;
+      }
+    });
+    field.append(textarea);
+    return field;
+  }
+
+  constructor(world, refreshInterval = 250) {
+    this.world = world;
+    this._selected = null;
+
+    this.element = document.createElement("div");
+    Object.assign(this.element.style, {
+      position: "fixed",
+      top: "0",
+      right: "0",
+      width: "320px",
+      maxHeight: "100%",
+      overflowY: "auto",
+      padding: "6px",
+      background: "rgba(0, 0, 0, 0.8)",
+      color: "white",
+      font: "12px monospace",
+      zIndex: "10000"
+    });
+    this._overview = document.createElement("div");
+    this._editor = document.createElement("div");
+    this.element.append(this._overview, this._editor);
+    document.getElementsByTagName("body")[0].append(this.element);
+
+    this._refreshId = setInterval(() => this.refresh(), refreshInterval);
+    this.refresh();
+  }
+
+  // Shows entity's components in the editor. Pass null to close it.
+  select(entity) {
+    this._selected = entity;
+    const editor = this._editor;
+    editor.textContent = "";
+    if (!entity) return;
+
+    editor.append(Inspector._heading("Entity " + Inspector._entityLabel(entity)));
+    for (const [componentType, value] of entity.components) {
+      editor.append(this._componentEditor(entity, componentType, value));
+    }
+    const refresh = document.createElement("button");
+    refresh.textContent = "Reload values";
+    refresh.addEventListener("click", () => this.select(entity));
+    const close = document.createElement("button");
+    close.textContent = "Close";
+    close.addEventListener("click", () => this.select(null));
+    editor.append(refresh, close);
+    this._renderOverview();
+  }
+
+  refresh() {
+    if (this.element.style.display === "none") return;
+    if (this._selected && !this._selected.isAlive()) this.select(null);
+    this._renderOverview();
+  }
+
+  show() {
+    this.element.style.display = "";
+    this.refresh();
+  }
+
+  hide() {
+    this.element.style.display = "none";
+  }
+
+  toggle() {
+    if (this.element.style.display === "none") this.show();
+    else this.hide();
+  }
+
+  destroy() {
+    clearInterval(this._refreshId);
+    this.element.remove();
+  }
+}
+
+export default Inspector;
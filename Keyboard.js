@@ -65,6 +65,39 @@ class Keyboard {
     return Keyboard._allProblemKeys;
   }
 
+  _checkComboName(name) {
+    if (this._chords.has(name) || this._sequences.has(name)) throw Error("Chord or sequence " + name + " already exists.");
+  }
+
+  _checkChords() {
+    for (const [name, keys] of this._chords) {
+      if (!keys.every(key => this._heldKeys.has(key) || this._pressedKeys.has(key))) continue;
+      if (keys.some(key => this._pressedKeys.has(key))) this._triggered.add(name);
+    }
+  }
+
+  // Checks whether the press just added to the history completes a sequence.
+  _checkSequences() {
+    const history = this._history;
+    for (const [name, {keys, maxInterval}] of this._sequences) {
+      if (history.length < keys.length) continue;
+      const start = history.length - keys.length;
+      let matches = true;
+      for (let i = 0; i < keys.length; i++) {
+        const press = history[start + i];
+        if (press.key !== keys[i]) matches = false;
+        else if (i > 0 && press.time - history[start + i - 1].time > maxInterval * 1000) matches = false;
+        if (!matches) break;
+      }
+      if (matches) {
+        this._triggered.add(name);
+        // So the same presses can't complete it again.
+        this._history = [];
+        return;
+      }
+    }
+  }
+
   constructor() {
     this._prevDef = true;
     this._pendingHeldKeys = new Set();
@@ -79,6 +112,12 @@ class Keyboard {
     this._pressedKeys = new Set();
     this._releasedKeys = new Set();
     this._heldKeys = new Set();
+    this._pressTimes = new Map(); // held key: update time it was pressed
+    this._now = 0;
+    this._chords = new Map(); // name: keys
+    this._sequences = new Map(); // name: {keys, maxInterval}
+    this._history = []; // recent presses: {key, time}
+    this._triggered = new Set();
     this._listeners = {
       keydown: e => {
         if (this._prevDef) e.preventDefault();
@@ -94,6 +133,7 @@ class Keyboard {
       blur: () => {
         this._pendingReleasedKeys = new Set(this._heldKeys.keys());
         this._pendingHeldKeys.clear();
+        this._history = [];
       }
     };
 
@@ -131,22 +171,89 @@ class Keyboard {
     return this._heldKeys.has(key);
   }
 
-  update() {
+  // Update time (ms) the held key was pressed, or undefined if it isn't held.
+  getPressTime(key) {
+    return this._pressTimes.get(key);
+  }
+
+  // Seconds the key has been held for, as of the last update.
+  getHoldDuration(key) {
+    if (!this._pressTimes.has(key)) return 0;
+    return (this._now - this._pressTimes.get(key)) * 0.001;
+  }
+
+  isHeldFor(key, seconds) {
+    return this._heldKeys.has(key) && this.getHoldDuration(key) >= seconds;
+  }
+
+  // Triggers on the update the last of keys is pressed while the rest are held,
+  // e.g. ["ControlLeft", "ShiftLeft", "KeyS"].
+  registerChord(name, keys) {
+    this._checkComboName(name);
+    keys = Array.from(keys);
+    if (!keys.length) throw Error("Chord " + name + " needs at least one key.");
+    this._chords.set(name, keys);
+  }
+
+  // Triggers on the update the last of keys is pressed, if they were pressed
+  // in order with no other key in between and at most maxInterval seconds apart,
+  // e.g. ["ArrowRight", "ArrowRight"] for a double tap.
+  registerSequence(name, keys, maxInterval = 0.3) {
+    this._checkComboName(name);
+    keys = Array.from(keys);
+    if (!keys.length) throw Error("Sequence " + name + " needs at least one key.");
+    this._sequences.set(name, {keys, maxInterval});
+  }
+
+  unregister(name) {
+    return this._chords.delete(name) || this._sequences.delete(name);
+  }
+
+  // True on the update the chord or sequence named name completed.
+  isTriggered(name) {
+    return this._triggered.has(name);
+  }
+
+  getTriggered() {
+    return new Set(this._triggered);
+  }
+
+  // now (ms) timestamps presses for hold durations and sequences. Pass the
+  // tick's now (systems get it after deltaT) so worlds driven by step or a
+  // ManualClock, and replays, time them the same on every run. It defaults
+  // to wall clock time.
+  update(now = performance.now()) {
+    this._now = now;
     this._pressedKeys.clear();
     this._releasedKeys.clear();
+    this._triggered.clear();
+
+    let longestSequence = 0;
+    for (const {keys} of this._sequences.values()) {
+      longestSequence = Math.max(longestSequence, keys.length);
+    }
 
     for (const key of this._pendingHeldKeys) {
       if (!this._heldKeys.has(key)) {
         this._pressedKeys.add(key);
-        if (!dontHoldKeys.has(key)) this._heldKeys.add(key);
+        if (!dontHoldKeys.has(key)) {
+          this._heldKeys.add(key);
+          this._pressTimes.set(key, now);
+        }
+        this._history.push({key, time: now});
+        if (this._history.length > longestSequence) this._history.shift();
+        this._checkSequences();
       }
     }
     this._pendingHeldKeys.clear();
 
+    this._checkChords();
+
     for (const key of this._pendingReleasedKeys) {
       if (this._heldKeys.has(key)) {
         this._releasedKeys.add(key);
         this._heldKeys.delete(key);
+        this._pressTimes.delete(key);
       }
     }
     this._pendingReleasedKeys.clear();
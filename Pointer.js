@@ -0,0 +1,217 @@
+// Mouse, pen and touch input, in the style of Keyboard: events are buffered
+// and only show up on update, so presses shorter than an update aren't lost.
+// Buttons are MouseEvent.button numbers (0 main, 1 middle, 2 secondary).
+
+// MouseEvent.button numbers, by bit of MouseEvent.buttons.
+const buttonsBits = [0, 2, 1, 3, 4];
+
+class Pointer {
+
+  _relative(e) {
+    if (!this.target.getBoundingClientRect) return {x: e.clientX, y: e.clientY};
+    const rect = this.target.getBoundingClientRect();
+    return {x: e.clientX - rect.left, y: e.clientY - rect.top};
+  }
+
+  _releaseAll() {
+    this._pendingReleasedButtons = new Set(this._heldButtons.keys());
+    this._pendingHeldButtons.clear();
+    this._downButtons.clear();
+    this._pointers.clear();
+  }
+
+  // Mouse and pen buttons are read from the e.buttons bitmask, since pressing
+  // a button while another is held only fires pointermove, and pointerup only
+  // fires when the last one is released. With presses false only releases are applied.
+  _readButtons(e, presses = true) {
+    const down = new Set();
+    buttonsBits.forEach((button, bit) => {
+      if (e.buttons & (1 << bit)) down.add(button);
+    });
+    for (const button of this._downButtons) {
+      if (!down.has(button)) {
+        this._pendingReleasedButtons.add(button);
+        this._downButtons.delete(button);
+      }
+    }
+    if (!presses) return;
+    for (const button of down) {
+      if (!this._downButtons.has(button)) {
+        this._pendingHeldButtons.add(button);
+        this._downButtons.add(button);
+      }
+    }
+  }
+
+  // Positions are relative to target's top left corner.
+  constructor(target = document) {
+    this.target = target;
+    this._prevDef = false;
+    this._pendingHeldButtons = new Set();
+    this._pendingReleasedButtons = new Set();
+    this._pressedButtons = new Set();
+    this._releasedButtons = new Set();
+    this._heldButtons = new Set();
+    this._downButtons = new Set(); // mouse and pen buttons down as of the last event
+    this._pendingPosition = {x: 0, y: 0};
+    this._pendingMovement = {x: 0, y: 0};
+    this._pendingWheel = {x: 0, y: 0};
+    this._position = {x: 0, y: 0};
+    this._movement = {x: 0, y: 0};
+    this._wheel = {x: 0, y: 0};
+    this._pointers = new Map(); // pointerId: {id, type, x, y}
+    this._targetListeners = {
+      pointerdown: e => {
+        if (this._prevDef) e.preventDefault();
+        if (e.pointerType === "touch") this._pendingHeldButtons.add(e.button);
+        else this._readButtons(e);
+        this._pointers.set(e.pointerId, {id: e.pointerId, type: e.pointerType, ...this._relative(e)});
+      },
+
+      pointermove: e => {
+        if (e.pointerType !== "touch") this._readButtons(e);
+        this._pendingPosition = this._relative(e);
+        this._pendingMovement.x += e.movementX || 0;
+        this._pendingMovement.y += e.movementY || 0;
+        const pointer = this._pointers.get(e.pointerId);
+        if (pointer) Object.assign(pointer, this._relative(e));
+      },
+
+      wheel: e => {
+        if (this._prevDef) e.preventDefault();
+        this._pendingWheel.x += e.deltaX;
+        this._pendingWheel.y += e.deltaY;
+      },
+
+      contextmenu: e => {
+        if (this._prevDef) e.preventDefault();
+      }
+    };
+    // Releases are listened for everywhere, so dragging off target doesn't leave buttons held.
+    this._documentListeners = {
+      pointermove: e => {
+        if (e.pointerType !== "touch") this._readButtons(e, false);
+      },
+
+      pointerup: e => {
+        this._pointers.delete(e.pointerId);
+        if (e.pointerType !== "touch") {
+          this._readButtons(e, false);
+          return;
+        }
+        // Every finger is button 0, so it stays held until the last one lifts.
+        if (Array.from(this._pointers.values()).some(pointer => pointer.type === "touch")) return;
+        this._pendingReleasedButtons.add(e.button);
+      },
+
+      pointercancel: e => {
+        this._pointers.delete(e.pointerId);
+        if (!this._pointers.size) this._releaseAll();
+      }
+    };
+    this._windowListeners = {
+      blur: () => {
+        this._releaseAll();
+      }
+    };
+
+    // Start listening
+    for (const [type, callback] of Object.entries(this._targetListeners)) {
+      target.addEventListener(type, callback, {passive: false});
+    }
+    for (const [type, callback] of Object.entries(this._documentListeners)) {
+      document.addEventListener(type, callback);
+    }
+    for (const [type, callback] of Object.entries(this._windowListeners)) {
+      window.addEventListener(type, callback);
+    }
+  }
+
+  preventDefaults(bool) {
+    this._prevDef = bool;
+  }
+
+  getPressedButtons() {
+    return new Set(this._pressedButtons);
+  }
+
+  getReleasedButtons() {
+    return new Set(this._releasedButtons);
+  }
+
+  getHeldButtons() {
+    return new Set(this._heldButtons);
+  }
+
+  isPressed(button = 0) {
+    return this._pressedButtons.has(button);
+  }
+
+  isReleased(button = 0) {
+    return this._releasedButtons.has(button);
+  }
+
+  isHeld(button = 0) {
+    return this._heldButtons.has(button);
+  }
+
+  getPosition() {
+    return {...this._position};
+  }
+
+  // Movement since the previous update.
+  getMovement() {
+    return {...this._movement};
+  }
+
+  // Wheel scrolling since the previous update.
+  getWheel() {
+    return {...this._wheel};
+  }
+
+  // Pointers currently touching or pressing (one per finger for touch).
+  getPointers() {
+    return Array.from(this._pointers.values(), pointer => ({...pointer}));
+  }
+
+  update() {
+    this._pressedButtons.clear();
+    this._releasedButtons.clear();
+
+    for (const button of this._pendingHeldButtons) {
+      if (!this._heldButtons.has(button)) {
+        this._pressedButtons.add(button);
+        this._heldButtons.add(button);
+      }
+    }
+    this._pendingHeldButtons.clear();
+
+    for (const button of this._pendingReleasedButtons) {
+      if (this._heldButtons.has(button)) {
+        this._releasedButtons.add(button);
+        this._heldButtons.delete(button);
+      }
+    }
+    this._pendingReleasedButtons.clear();
+
+    this._position = {...this._pendingPosition};
+    this._movement = this._pendingMovement;
+    this._pendingMovement = {x: 0, y: 0};
+    this._wheel = this._pendingWheel;
+    this._pendingWheel = {x: 0, y: 0};
+  }
+
+  destroy() {
+    for (const [type, callback] of Object.entries(this._targetListeners)) {
+      this.target.removeEventListener(type, callback, {passive: false});
+    }
+    for (const [type, callback] of Object.entries(this._documentListeners)) {
+      document.removeEventListener(type, callback);
+    }
+    for (const [type, callback] of Object.entries(this._windowListeners)) {
+      window.removeEventListener(type, callback);
+    }
+  }
+}
+
+export default Pointer;
@@ -0,0 +1,77 @@
+// Measures entity structural changes and query iteration.
+// Run with: npm run bench
+import World from "../src/World.js";
+
+const ENTITIES = 5000;
+const COMPONENT_TYPES = 24;
+const QUERIES = 40;
+const ROUNDS = 10;
+
+const time = (label, callback) => {
+  const start = performance.now();
+  callback();
+  const ms = performance.now() - start;
+  console.log(`${label.padEnd(28)} ${ms.toFixed(1).padStart(8)} ms`);
+};
+
+const world = new World();
+const {ComponentType, Entity, Query} = world;
+
+const types = [];
+for (let i = 0; i < COMPONENT_TYPES; i++) {
+  types.push(new ComponentType("c" + i, i));
+}
+
+// Deterministic mix of query shapes.
+const queries = [];
+for (let i = 0; i < QUERIES; i++) {
+  const a = types[i % COMPONENT_TYPES];
+  const b = types[(i * 7 + 3) % COMPONENT_TYPES];
+  const c = types[(i * 5 + 11) % COMPONENT_TYPES];
+  if (i % 3 === 0) queries.push(new Query([a, b]));
+  else if (i % 3 === 1) queries.push(new Query({all: [a], none: [c]}));
+  else queries.push(new Query({all: [b], any: [a, c]}));
+}
+
+const entities = [];
+time("spawn", () => {
+  for (let i = 0; i < ENTITIES; i++) {
+    const entity = new Entity();
+    for (let j = 0; j < 6; j++) {
+      entity.addComponent(types[(i + j * 5) % COMPONENT_TYPES]);
+    }
+    entities.push(entity);
+  }
+});
+
+time("add/remove component", () => {
+  for (let round = 0; round < ROUNDS; round++) {
+    const type = types[round % COMPONENT_TYPES];
+    for (const entity of entities) {
+      if (entity.hasComponent(type)) {
+        entity.deleteComponent(type);
+        entity.addComponent(type);
+      } else {
+        entity.addComponent(type);
+        entity.deleteComponent(type);
+      }
+    }
+  }
+});
+
+let sum = 0;
+time("iterate queries", () => {
+  for (let round = 0; round < ROUNDS * 10; round++) {
+    for (const query of queries) {
+      for (const entity of query.entities) {
+        sum += entity.getComponent(query.components[0]);
+      }
+    }
+  }
+});
+
+time("die", () => {
+  for (const entity of entities) entity.die();
+});
+
+console.log("checksum", sum);
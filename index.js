@@ -1,24 +1,91 @@
 import Keyboard from "./Keyboard.js";
+import ActionMap from "./ActionMap.js";
+import Inspector from "./Inspector.js";
 import World from "./src/World.js";
-
-const keyboard = new Keyboard();
+import Profiler from "./src/Profiler.js";
 
 const world = new World();
+world.profiler = new Profiler();
 world.start();
-const {System, ComponentType, Entity} = world;
+const {System, ComponentType, Prefab} = world;
+
+const keyboard = new Keyboard();
+const actions = new ActionMap(keyboard);
+actions.defineAxis("moveX", ["ArrowLeft", "KeyA"], ["ArrowRight", "KeyD"]);
+actions.defineAxis("moveY", ["ArrowUp", "KeyW"], ["ArrowDown", "KeyS"]);
+world.setResource("keyboard", keyboard);
+world.setResource("actions", actions);
 
 const inputSystem = new System({
-  earlyUpdate() {
-    keyboard.update();
+  earlyUpdate(deltaT, now) {
+    this.resources.keyboard.update(now);
   }
-}, 2000);
+}, {priority: 2000, resources: ["keyboard"], runWhilePaused: true});
+
+// Moves entities by acceleration, velocity and damping. Reusable in any world through world.use.
+const physicsPlugin = {
+  name: "physics",
+  install(world) {
+    const position = new world.ComponentType("position", () => ({x: 0, y: 0}));
+    const velocity = new world.ComponentType("velocity", () => ({x: 0, y: 0}));
+    const acceleration = new world.ComponentType("acceleration", () => ({x: 0, y: 0}));
+    const damping = new world.ComponentType("damping", 0.2);
+
+    const accelerationSystem = new world.System([acceleration, velocity], {
+      calculus(dt) {
+        for (const entity of this.entities) {
+
+          const a = entity.getComponent(acceleration);
+          const v = entity.getComponent(velocity);
+
+          // dv = a * dt
+          // vend - vstart = a * dt
+          // vend = vstart + a * dt
+          v.x = v.x + a.x * dt;
+          v.y = v.y + a.y * dt;
+        }
+      }
+    }, 1000);
+
+    const dampingSystem = new world.System([damping, velocity], {
+      calculus(dt) {
+        for (const entity of this.entities) {
+
+          const d = entity.getComponent(damping);
+          const v = entity.getComponent(velocity);
+
+          let speed = Math.sqrt(v.x ** 2 + v.y ** 2);
+          if (speed) {
+            const angle = Math.atan2(v.y, v.x);
+            speed = Math.max(0, speed * (1 - d * dt));
+            v.x = speed * Math.cos(angle);
+            v.y = speed * Math.sin(angle);
+          }
+        }
+      }
+    }, {after: accelerationSystem});
+
+    const movementSystem = new world.System([velocity, position], {
+      calculus(dt) {
+        for (const entity of this.entities) {
+
+          const v = entity.getComponent(velocity);
+          const p = entity.getComponent(position);
+
+          p.x = p.x + v.x * dt;
+          p.y = p.y + v.y * dt;
+        }
+      }
+    }, {after: [dampingSystem, accelerationSystem]});
+
+    return {position, velocity, acceleration, damping};
+  }
+};
+
+const {position, velocity, acceleration, damping} = world.use(physicsPlugin);
 
-const position = new ComponentType("position", () => ({x: 0, y: 0}));
-const velocity = new ComponentType("velocity", () => ({x: 0, y: 0}));
-const acceleration = new ComponentType("acceleration", () => ({x: 0, y: 0}));
-const damping = new ComponentType("damping", 0.2);
 const arrowKeyAccelerationTag = new ComponentType("arrowKeyAccelerationTag");
-const div = new ComponentType("div", () => {
+const createDiv = () => {
   const div = document.createElement("div");
   div.style.width = "10px";
   div.style.height = "10px";
@@ -26,36 +93,29 @@ const div = new ComponentType("div", () => {
   div.style.backgroundColor = "red";
   document.getElementsByTagName("body")[0].append(div);
   return div;
+};
+const div = new ComponentType("div", createDiv, {
+  // Dom elements can't be saved, so recreate them on load.
+  serialize: () => null,
+  revive: createDiv,
+  onChange: (entity, newDiv, oldDiv) => oldDiv.remove(),
+  onRemove: (entity, div) => div.remove()
 });
 
-const player = new Entity("player");
-player.addComponent(position);
-player.addComponent(velocity);
-player.addComponent(acceleration);
-player.addComponent(damping);
-player.addComponent(arrowKeyAccelerationTag);
-player.addComponent(div);
+const body = new Prefab("body", [position, velocity, acceleration, damping, div]);
+const playerPrefab = new Prefab("player", [arrowKeyAccelerationTag], body);
+
+const player = playerPrefab.spawn("player");
 
 const arrowKeyAcceleration = new System(
   [arrowKeyAccelerationTag, position, velocity, acceleration],
   {
     earlyUpdate() {
+      const {actions} = this.resources;
       for (const entity of this.entities) {
 
         const a = entity.getComponent(acceleration);
-        const dirVec = [0, 0];
-        if (keyboard.isHeld("ArrowLeft")) {
-          dirVec[0] -= 1;
-        }
-        if (keyboard.isHeld("ArrowRight")) {
-          dirVec[0] += 1;
-        }
-        if (keyboard.isHeld("ArrowUp")) {
-          dirVec[1] -= 1;
-        }
-        if (keyboard.isHeld("ArrowDown")) {
-          dirVec[1] += 1;
-        }
+        const dirVec = [actions.getAxis("moveX"), actions.getAxis("moveY")];
         if (dirVec[0] || dirVec[1]) {
           const angle = Math.atan2(dirVec[1], dirVec[0]);
           a.x = 55 * Math.cos(angle);
@@ -66,56 +126,10 @@ const arrowKeyAcceleration = new System(
         }
       }
     }
-  }
+  },
+  {resources: ["actions"]}
 )
 
-const accelerationSystem = new System([acceleration, velocity], {
-  calculus(dt) {
-    for (const entity of this.entities) {
-
-      const a = entity.getComponent(acceleration);
-      const v = entity.getComponent(velocity);
-
-      // dv = a * dt
-      // vend - vstart = a * dt
-      // vend = vstart + a * dt
-      v.x = v.x + a.x * dt;
-      v.y = v.y + a.y * dt;
-    }
-  }
-}, 1000);
-
-const dampingSystem = new System([damping, velocity], {
-  calculus(dt) {
-    for (const entity of this.entities) {
-
-      const d = entity.getComponent(damping);
-      const v = entity.getComponent(velocity);
-
-      let speed = Math.sqrt(v.x ** 2 + v.y ** 2);
-      if (speed) {
-        const angle = Math.atan2(v.y, v.x);
-        speed = Math.max(0, speed * (1 - d * dt));
-        v.x = speed * Math.cos(angle);
-        v.y = speed * Math.sin(angle);
-      }
-    }
-  }
-}, {after: accelerationSystem});
-
-const movementSystem = new System([velocity, position], {
-  calculus(dt) {
-    for (const entity of this.entities) {
-
-      const v = entity.getComponent(velocity);
-      const p = entity.getComponent(position);
-
-      p.x = p.x + v.x * dt;
-      p.y = p.y + v.y * dt;
-    }
-  }
-}, {after: [dampingSystem, accelerationSystem]});
-
 const renderSystem = new System([div, position], {
   draw() {
     for (const entity of this.entities) {
@@ -125,6 +139,18 @@ const renderSystem = new System([div, position], {
   }
 })
 
-document.addEventListener("click", () => {
-  console.log(world.queries)
-})
\ No newline at end of file
+const inspector = new Inspector(world);
+inspector.hide();
+
+// ` toggles the inspector, P pauses and . steps once while paused.
+const debugSystem = new System({
+  earlyUpdate() {
+    const {keyboard} = this.resources;
+    if (keyboard.isPressed("Backquote")) inspector.toggle();
+    if (keyboard.isPressed("KeyP")) {
+      if (world.paused) world.resume();
+      else world.pause();
+    }
+    if (keyboard.isPressed("Period") && world.paused) world.stepOnce();
+  }
+}, {name: "debug", resources: ["keyboard"], after: inputSystem, runWhilePaused: true});
\ No newline at end of file
@@ -0,0 +1,52 @@
+// Growable set of small non negative integers, stored as 32 bit words.
+class Bitmask {
+  constructor() {
+    this.words = [];
+  }
+
+  set(bit) {
+    const word = bit >> 5;
+    while (this.words.length <= word) this.words.push(0);
+    this.words[word] |= 1 << (bit & 31);
+  }
+
+  clear(bit) {
+    const word = bit >> 5;
+    if (word < this.words.length) this.words[word] &= ~(1 << (bit & 31));
+  }
+
+  clearAll() {
+    this.words.length = 0;
+  }
+
+  has(bit) {
+    const word = bit >> 5;
+    return word < this.words.length && (this.words[word] & (1 << (bit & 31))) !== 0;
+  }
+
+  // True if every bit of other is set in this.
+  containsAll(other) {
+    for (let i = 0; i < other.words.length; i++) {
+      const word = other.words[i];
+      if (((this.words[i] | 0) & word) !== word) return false;
+    }
+    return true;
+  }
+
+  // True if this and other have a bit in common.
+  intersects(other) {
+    const length = Math.min(this.words.length, other.words.length);
+    for (let i = 0; i < length; i++) {
+      if ((this.words[i] & other.words[i]) !== 0) return true;
+    }
+    return false;
+  }
+
+  static from(bits) {
+    const mask = new Bitmask();
+    for (const bit of bits) mask.set(bit);
+    return mask;
+  }
+}
+
+export default Bitmask;
@@ -0,0 +1,67 @@
+// Queues structural changes (spawning, adding and removing components, killing entities)
+// so systems can request them while iterating query sets. The world flushes
+// the queue between phases.
+class CommandBuffer {
+  constructor(world) {
+    this.world = world;
+    this._commands = [];
+  }
+
+  get size() {
+    return this._commands.length;
+  }
+
+  // components is an iterable of component types or [componentType, value] pairs.
+  // onSpawn(entity) is called once the entity exists.
+  spawn(name, components = [], onSpawn) {
+    this._commands.push(() => {
+      const entity = new this.world.Entity(name);
+      for (const component of components) {
+        if (component instanceof this.world.ComponentType) {
+          entity.addComponent(component);
+        } else {
+          entity.addComponent(...component);
+        }
+      }
+      if (onSpawn) onSpawn(entity);
+    });
+  }
+
+  // args are the componentType and, optionally, the value, as for entity.addComponent.
+  add(entity, ...args) {
+    this._commands.push(() => {
+      if (this.world.entities.has(entity)) entity.addComponent(...args);
+    });
+  }
+
+  remove(entity, componentType) {
+    this._commands.push(() => {
+      if (this.world.entities.has(entity)) entity.deleteComponent(componentType);
+    });
+  }
+
+  destroy(entity) {
+    this._commands.push(() => {
+      if (this.world.entities.has(entity)) entity.die();
+    });
+  }
+
+  // Commands queued while flushing run in the same flush. If a command
+  // throws, it and the ones before it are dropped, and the rest stay queued.
+  flush() {
+    let i = 0;
+    try {
+      while (i < this._commands.length) {
+        this._commands[i++]();
+      }
+    } finally {
+      this._commands.splice(0, i);
+    }
+  }
+
+  clear() {
+    this._commands.length = 0;
+  }
+}
+
+export default CommandBuffer;
@@ -0,0 +1,27 @@
+// Reads the events of one EventType, each event once.
+class EventReader {
+  constructor(eventType) {
+    this.eventType = eventType;
+    this._lastRead = 0; // number of the last event read
+  }
+
+  // Payloads emitted since the last read that are still buffered.
+  read() {
+    const payloads = [];
+    for (const buffer of [...this.eventType._undrawn, this.eventType._previous, this.eventType._current]) {
+      for (const event of buffer) {
+        if (event.number <= this._lastRead) continue;
+        payloads.push(event.payload);
+        this._lastRead = event.number;
+      }
+    }
+    return payloads;
+  }
+
+  // Drops unread events without reading them.
+  clear() {
+    this._lastRead = this.eventType._count;
+  }
+}
+
+export default EventReader;
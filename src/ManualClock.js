@@ -0,0 +1,51 @@
+// Clock for World that only moves when told to, so tests and servers can
+// advance the game loop deterministically.
+class ManualClock {
+  constructor(time = 0) {
+    this.time = time;
+    this._nextId = 1;
+    this._intervals = new Map(); // id: callback
+    this._frames = new Map(); // id: callback
+  }
+
+  now() {
+    return this.time;
+  }
+
+  setInterval(callback) {
+    const id = this._nextId++;
+    this._intervals.set(id, callback);
+    return id;
+  }
+
+  clearInterval(id) {
+    this._intervals.delete(id);
+  }
+
+  requestAnimationFrame(callback) {
+    const id = this._nextId++;
+    this._frames.set(id, callback);
+    return id;
+  }
+
+  cancelAnimationFrame(id) {
+    this._frames.delete(id);
+  }
+
+  // Moves time forward by ms milliseconds, then runs every interval once
+  // and, unless frame is false, the animation frames that were requested before this tick.
+  tick(ms, frame = true) {
+    this.time += ms;
+    for (const callback of Array.from(this._intervals.values())) {
+      callback();
+    }
+    if (!frame) return;
+    const frames = Array.from(this._frames.values());
+    this._frames.clear();
+    for (const callback of frames) {
+      callback(this.time);
+    }
+  }
+}
+
+export default ManualClock;
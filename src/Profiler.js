@@ -0,0 +1,66 @@
+// Collects per system, per phase timings. Set world.profiler to an instance to enable it.
+class Profiler {
+  // Averages are over the last windowSize calls.
+  constructor(windowSize = 60, now = () => performance.now()) {
+    this.windowSize = windowSize;
+    this.now = now;
+    this._stats = new Map(); // system: Map of phase: stats
+  }
+
+  _getStats(system, phase) {
+    let phases = this._stats.get(system);
+    if (!phases) {
+      phases = new Map();
+      this._stats.set(system, phases);
+    }
+    let stats = phases.get(phase);
+    if (!stats) {
+      stats = {calls: 0, totalTime: 0, lastTime: 0, entities: 0, _samples: [], _sampleSum: 0};
+      phases.set(phase, stats);
+    }
+    return stats;
+  }
+
+  record(system, phase, time) {
+    const stats = this._getStats(system, phase);
+    stats.calls++;
+    stats.totalTime += time;
+    stats.lastTime = time;
+    stats.entities = system.entities ? system.entities.size : 0;
+    stats._samples.push(time);
+    stats._sampleSum += time;
+    if (stats._samples.length > this.windowSize) stats._sampleSum -= stats._samples.shift();
+  }
+
+  // Stats of system, by phase: {calls, totalTime, lastTime, averageTime, entities}, times in ms.
+  getStats(system) {
+    const result = {};
+    for (const [phase, stats] of this._stats.get(system) || []) {
+      result[phase] = {
+        calls: stats.calls,
+        totalTime: stats.totalTime,
+        lastTime: stats.lastTime,
+        averageTime: stats._samples.length ? stats._sampleSum / stats._samples.length : 0,
+        entities: stats.entities
+      };
+    }
+    return result;
+  }
+
+  // Systems' stats in the order the systems are given, e.g. world.systems.
+  // JSON.stringify passes a property key instead, which means every system.
+  toJSON(systems) {
+    if (systems === undefined || typeof systems === "string") systems = this._stats.keys();
+    return Array.from(systems, system => ({
+      name: system.name || null,
+      priority: system.priority,
+      phases: this.getStats(system)
+    }));
+  }
+
+  reset() {
+    this._stats.clear();
+  }
+}
+
+export default Profiler;
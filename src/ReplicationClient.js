@@ -0,0 +1,93 @@
+// Mirrors the entities a ReplicationServer sends into world. Messages
+// received through transport, an object with onMessage(callback), are queued
+// and applied at the start of the next update, or when applyPending is called.
+class ReplicationClient {
+
+  static _applyPriority = -Infinity; // Apply before every other system
+
+  constructor(world, transport) {
+    this.world = world;
+    this.transport = transport;
+    this.tick = 0;
+    this.entities = new Map(); // server entity id: local entity
+    this._pending = [];
+    this._onMessage = message => this._pending.push(message);
+    transport.onMessage(this._onMessage);
+    this._system = new world.System({
+      earlyUpdate: () => this.applyPending()
+    }, {priority: ReplicationClient._applyPriority, runWhilePaused: true});
+  }
+
+  _getComponentType(name) {
+    const componentType = this.world.ComponentType[name];
+    if (!(componentType instanceof this.world.ComponentType)) throw Error("Unknown replicated component type " + name + ".");
+    return componentType;
+  }
+
+  _writeComponents(entity, entry) {
+    for (const name of entry.tags || []) {
+      entity.addComponent(this._getComponentType(name));
+    }
+    for (const [name, data] of Object.entries(entry.components || {})) {
+      const componentType = this._getComponentType(name);
+      const value = componentType.revive ? componentType.revive(data) : data;
+      if (entity.hasComponent(componentType)) entity.setComponent(componentType, value);
+      else entity.addComponent(componentType, value);
+    }
+    for (const name of entry.removed || []) {
+      entity.deleteComponent(this._getComponentType(name));
+    }
+  }
+
+  _setParent(entity, parentId) {
+    entity.setParent(parentId === null ? null : this.entities.get(parentId) || null);
+  }
+
+  apply(message) {
+    if (message.snapshot) {
+      for (const entity of this.entities.values()) entity.die();
+      this.entities.clear();
+    }
+
+    const spawned = message.spawned || [];
+    for (const entry of spawned) {
+      const entity = new this.world.Entity(entry.name);
+      this.entities.set(entry.id, entity);
+      this._writeComponents(entity, entry);
+    }
+    // Parents may be spawned after their children in the same message.
+    for (const entry of spawned) {
+      if (entry.parent !== undefined) this._setParent(this.entities.get(entry.id), entry.parent);
+    }
+
+    for (const entry of message.changed || []) {
+      const entity = this.entities.get(entry.id);
+      if (!entity) continue;
+      this._writeComponents(entity, entry);
+      if (entry.parent !== undefined) this._setParent(entity, entry.parent);
+    }
+
+    for (const id of message.despawned || []) {
+      const entity = this.entities.get(id);
+      if (!entity) continue;
+      entity.die();
+      this.entities.delete(id);
+    }
+
+    this.tick = message.tick;
+  }
+
+  applyPending() {
+    const pending = this._pending;
+    this._pending = [];
+    for (const message of pending) this.apply(message);
+  }
+
+  destroy() {
+    this.transport.offMessage(this._onMessage);
+    this._system.deactivate();
+    this._pending = [];
+  }
+}
+
+export default ReplicationClient;
@@ -0,0 +1,124 @@
+// Sends the state of a world's networked entities to ReplicationClients.
+// Entities are networked while they have tag, and only the given component
+// types are replicated. Each update a delta message with what was spawned,
+// despawned or changed since the last one is sent through transport, an
+// object with send(message) (see LocalTransport).
+class ReplicationServer {
+
+  static _tickPriority = Infinity; // Send after every other system has updated
+
+  constructor(world, transport, tag, componentTypes) {
+    this.world = world;
+    this.transport = transport;
+    this.tag = tag;
+    this.componentTypes = Array.from(componentTypes);
+    this.tick = 0;
+    this._sent = new Map(); // entity handle: {entity, components: Map of name: json, parent}
+    this._query = new world.Query(tag);
+    this._system = new world.System({
+      update: () => this.sendDelta()
+    }, {priority: ReplicationServer._tickPriority, runWhilePaused: true});
+  }
+
+  // Parent handle if the parent is networked too, else null.
+  _parentId(entity) {
+    return entity.parent && entity.parent.hasComponent(this.tag) ? entity.parent.handle : null;
+  }
+
+  // Replicated components of entity as json strings, by component name.
+  _encode(entity) {
+    const encoded = new Map();
+    for (const componentType of this.componentTypes) {
+      if (!entity.hasComponent(componentType)) continue;
+      const value = entity.getComponent(componentType);
+      if (value === this.world.ComponentType.tag) {
+        encoded.set(componentType.name, null);
+      } else {
+        encoded.set(componentType.name, JSON.stringify(componentType.serialize ? componentType.serialize(value) : value));
+      }
+    }
+    return encoded;
+  }
+
+  // Fills entry.components and entry.tags with what's in encoded but not in previous.
+  static _writeComponents(entry, encoded, previous = new Map()) {
+    for (const [name, json] of encoded) {
+      if (previous.has(name) && previous.get(name) === json) continue;
+      if (json === null) {
+        (entry.tags = entry.tags || []).push(name);
+      } else {
+        (entry.components = entry.components || {})[name] = JSON.parse(json);
+      }
+    }
+  }
+
+  _spawnEntry(entity, encoded) {
+    const entry = {id: entity.handle};
+    if (entity.name) entry.name = entity.name;
+    const parent = this._parentId(entity);
+    if (parent !== null) entry.parent = parent;
+    ReplicationServer._writeComponents(entry, encoded);
+    return entry;
+  }
+
+  // Sends the changes since the last delta, if there are any.
+  sendDelta() {
+    const spawned = [];
+    const changed = [];
+    const despawned = [];
+
+    for (const [id, sent] of this._sent) {
+      if (!sent.entity.isAlive() || !sent.entity.hasComponent(this.tag)) {
+        despawned.push(id);
+        this._sent.delete(id);
+      }
+    }
+
+    for (const entity of this._query.entities) {
+      const encoded = this._encode(entity);
+      const parent = this._parentId(entity);
+      const sent = this._sent.get(entity.handle);
+      if (!sent) {
+        spawned.push(this._spawnEntry(entity, encoded));
+        this._sent.set(entity.handle, {entity, components: encoded, parent});
+        continue;
+      }
+
+      const entry = {id: entity.handle};
+      ReplicationServer._writeComponents(entry, encoded, sent.components);
+      const removed = Array.from(sent.components.keys()).filter(name => !encoded.has(name));
+      if (removed.length) entry.removed = removed;
+      if (parent !== sent.parent) entry.parent = parent;
+      if (Object.keys(entry).length > 1) changed.push(entry);
+      sent.components = encoded;
+      sent.parent = parent;
+    }
+
+    if (!spawned.length && !changed.length && !despawned.length) return;
+    const message = {tick: ++this.tick};
+    if (spawned.length) message.spawned = spawned;
+    if (changed.length) message.changed = changed;
+    if (despawned.length) message.despawned = despawned;
+    this.transport.send(message);
+  }
+
+  // Sends every networked entity, for clients that just connected or fell out of sync.
+  sendSnapshot() {
+    this._sent.clear();
+    const spawned = [];
+    for (const entity of this._query.entities) {
+      const encoded = this._encode(entity);
+      spawned.push(this._spawnEntry(entity, encoded));
+      this._sent.set(entity.handle, {entity, components: encoded, parent: this._parentId(entity)});
+    }
+    this.transport.send({tick: ++this.tick, snapshot: true, spawned});
+  }
+
+  destroy() {
+    this._system.deactivate();
+    this._query.destroy();
+    this._sent.clear();
+  }
+}
+
+export default ReplicationServer;
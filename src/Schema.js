@@ -0,0 +1,127 @@
+// Describes component values in terms of the json types listed in World.js.
+// A schema is a type name ("number", "string", "boolean", "array", "object" or "null"),
+// an object of field schemas, or {type, default, nullable, fields, items}
+// where fields describes object fields and items describes array elements.
+// An object with only those keys is read as the latter, so an object with
+// nothing but fields named like them has to be written as {type: "object", fields}.
+const types = new Set(["number", "string", "boolean", "array", "object", "null"]);
+const nodeKeys = new Set(["type", "default", "nullable", "fields", "items"]);
+
+const emptyValues = {
+  number: 0,
+  string: "",
+  boolean: false,
+  array: [],
+  object: {},
+  null: null
+};
+
+const isPlainObject = value => value !== null && typeof value === "object" && !Array.isArray(value);
+
+class Schema {
+  static _normalize(spec, path) {
+    if (typeof spec === "string") spec = {type: spec};
+    else if (!isPlainObject(spec)) throw TypeError(`Schema of ${path} must be a type name or an object.`);
+    else if (typeof spec.type !== "string" || Object.keys(spec).some(key => !nodeKeys.has(key))) spec = {type: "object", fields: spec};
+
+    if (!types.has(spec.type)) throw TypeError(`Unknown type ${spec.type} in schema of ${path}.`);
+    const node = {type: spec.type, default: spec.default, nullable: !!spec.nullable};
+    if (spec.fields) {
+      if (spec.type !== "object") throw TypeError(`Only object schemas can have fields, but ${path} is ${spec.type}.`);
+      node.fields = {};
+      for (const [name, field] of Object.entries(spec.fields)) {
+        node.fields[name] = Schema._normalize(field, path + "." + name);
+      }
+    }
+    if (spec.items) {
+      if (spec.type !== "array") throw TypeError(`Only array schemas can have items, but ${path} is ${spec.type}.`);
+      node.items = Schema._normalize(spec.items, path + "[]");
+    }
+    return node;
+  }
+
+  static _defaults(node) {
+    if (node.default !== undefined) return structuredClone(node.default);
+    if (node.fields) {
+      const value = {};
+      for (const [name, field] of Object.entries(node.fields)) {
+        value[name] = Schema._defaults(field);
+      }
+      return value;
+    }
+    return structuredClone(emptyValues[node.type]);
+  }
+
+  // Fills in place, so whoever holds value keeps holding the component's value.
+  static _merge(node, value) {
+    if (value === undefined) return Schema._defaults(node);
+    if (!node.fields || !isPlainObject(value)) return value;
+    for (const [name, field] of Object.entries(node.fields)) {
+      const merged = Schema._merge(field, value[name]);
+      if (merged !== value[name]) value[name] = merged;
+    }
+    return value;
+  }
+
+  // Returns what's wrong with value, or null if nothing is.
+  static _check(node, value, path) {
+    if (value === null && node.nullable) return null;
+    const got = value === null ? "null" : Array.isArray(value) ? "array" : typeof value;
+    const error = `${path} must be ${node.type}${node.nullable ? " or null" : ""}, got ${got}.`;
+    switch (node.type) {
+      case "null":
+        if (value !== null) return error;
+        return null;
+      case "number":
+        if (typeof value !== "number") return error;
+        if (!Number.isFinite(value)) return `${path} must be a finite number, got ${value}.`;
+        return null;
+      case "string":
+      case "boolean":
+        if (typeof value !== node.type) return error;
+        return null;
+      case "array":
+        if (!Array.isArray(value)) return error;
+        if (node.items) {
+          for (let i = 0; i < value.length; i++) {
+            const itemError = Schema._check(node.items, value[i], `${path}[${i}]`);
+            if (itemError) return itemError;
+          }
+        }
+        return null;
+      case "object":
+        if (!isPlainObject(value)) return error;
+        if (node.fields) {
+          for (const name of Object.keys(value)) {
+            if (!node.fields[name]) return `${path} has unknown field ${name}.`;
+          }
+          for (const [name, field] of Object.entries(node.fields)) {
+            const fieldError = Schema._check(field, value[name], path + "." + name);
+            if (fieldError) return fieldError;
+          }
+        }
+        return null;
+    }
+  }
+
+  constructor(spec) {
+    this._root = Schema._normalize(spec, "value");
+  }
+
+  // A new value made of the schema's defaults.
+  defaults() {
+    return Schema._defaults(this._root);
+  }
+
+  // Fills the fields missing from value with their defaults. Returns value
+  // itself unless it's undefined, in which case the defaults are returned.
+  merge(value) {
+    return Schema._merge(this._root, value);
+  }
+
+  check(value) {
+    return Schema._check(this._root, value, "value");
+  }
+}
+
+export default Schema;
@@ -8,133 +8,524 @@
 // null: an empty value, using the word null
 
 import MapOfSets from "./MapOfSets.js";
+import CommandBuffer from "./CommandBuffer.js";
+import Bitmask from "./Bitmask.js";
+import EventReader from "./EventReader.js";
+import Schema from "./Schema.js";
+
+// Default clock. Falls back to timeouts where there is no requestAnimationFrame (e.g. Node).
+const realClock = {
+  now: () => performance.now(),
+  setInterval: callback => setInterval(callback),
+  clearInterval: id => clearInterval(id),
+  requestAnimationFrame: typeof requestAnimationFrame === "function"
+    ? callback => requestAnimationFrame(callback)
+    : callback => setTimeout(() => callback(performance.now()), 1000 / 60),
+  cancelAnimationFrame: typeof cancelAnimationFrame === "function"
+    ? id => cancelAnimationFrame(id)
+    : id => clearTimeout(id)
+};
+
+// Entity handles pack the generation above this many ids.
+const ID_LIMIT = 2 ** 22;
+
+// Phases run each frame, in order. Simulation phases run on the update interval and
+// get (deltaT, now, before), or just (dt) per sub-step when substep is true.
+// Render phases run on animation frames and get (deltaT, now, before, alpha).
+const defaultPipeline = [
+  {name: "earlyUpdate", loop: "simulation"},
+  {name: "calculus", loop: "simulation", substep: true},
+  {name: "update", loop: "simulation"},
+  {name: "draw", loop: "render"}
+];
+
+// Ticks of expired events kept for draw. Frames can be several ticks apart,
+// but in a hidden tab they stop while ticks go on, so older ones are dropped.
+const MAX_UNDRAWN_TICKS = 16;
+
+// Phases are called as system methods, so they can't be named like
+// these system fields and hooks or like a method of System.
+const reservedPhaseNames = new Set(["components", "world", "resources", "priority", "after", "before", "runWhilePaused", "name", "onEnter", "onExit"]);
 
 // Implement onComponentRemove to destroy persistent data that will exist due to third party rendering tools.
 class World {
+  static defaultPipeline = defaultPipeline;
+
   _addEntity(entity) {
+    // Ids of dead entities are reused, with a new generation.
+    const id = this._freeIds.length ? this._freeIds.pop() : this._entitySlots.length;
+    if (id >= ID_LIMIT) throw Error("Too many entities.");
+    entity.id = id;
+    entity.generation = this._generations[id] || 0;
+    this._entitySlots[id] = entity;
+
     this.entities.add(entity);
     if (entity.name) {
       this.entitiesByName.set(entity.name, entity);
     }
   }
 
+  _entityLabel(entity) {
+    return entity.name || "#" + entity.id;
+  }
+
+  // Merges value with componentType's schema defaults and validates it in dev mode.
+  _prepareValue(entity, componentType, value) {
+    if (!componentType.schema || value === this.ComponentType.tag) return value;
+    value = componentType.schema.merge(value);
+    if (this.devMode) {
+      const error = componentType.schema.check(value);
+      if (error) throw TypeError("Invalid " + componentType.name + " component on entity " + this._entityLabel(entity) + ": " + error);
+    }
+    return value;
+  }
+
+  // Dead entities keep their methods, but changing them would put them back in indexes and queries.
+  _checkAlive(entity) {
+    if (!this.entities.has(entity)) throw Error("Can't change entity " + this._entityLabel(entity) + " after it died.");
+  }
+
+  _checkName(name) {
+    if (typeof name !== "string" || name === "") throw TypeError("name must be non empty string.");
+    if (this.uniqueNames && this.entitiesByName.get(name).size) throw Error("Entity named " + name + " already exists.");
+  }
+
   _removeEntity(entity) {
-    entity.clearComponents();
+    // Remove from entities first so the entity leaves every query
+    // while its components can still be read by exit listeners.
     this.entities.delete(entity);
+    for (const queryKey of Array.from(entity._queries)) {
+      entity.refreshQuery(queryKey);
+    }
+    entity.clearComponents();
     this.entitiesByName.delete(entity.name, entity);
+
+    this._entitySlots[entity.id] = undefined;
+    this._generations[entity.id] = entity.generation + 1;
+    this._freeIds.push(entity.id);
+  }
+
+  _getComponentType(name) {
+    const componentType = this.ComponentType[name];
+    if (!(componentType instanceof this.ComponentType)) throw Error("Unknown component type " + name + ".");
+    return componentType;
+  }
+
+  // Tells the queries listening on queryKey that entity entered or exited them.
+  _notifyQuery(queryKey, entity, entered) {
+    for (const query of this._queryListeners.get(queryKey)) {
+      query._emit(entered ? "enter" : "exit", entity);
+    }
+  }
+
+  _systemLabel(system) {
+    return system.name || "unnamed system";
+  }
+
+  // Orders this.systems so every after/before constraint between active systems holds,
+  // breaking ties by ascending priority and then by activation order.
+  _sortSystems() {
+    const systems = this.systems;
+    const resolve = reference => {
+      if (typeof reference === "string") return this.systemsByName.get(reference);
+      return reference;
+    };
+    const successors = new Map(); // system: systems that must run after it
+    const predecessorCount = new Map();
+    for (const system of systems) {
+      successors.set(system, new Set());
+      predecessorCount.set(system, 0);
+    }
+    const addEdge = (first, then) => {
+      if (!successors.has(first) || !successors.has(then)) return;
+      if (successors.get(first).has(then)) return;
+      successors.get(first).add(then);
+      predecessorCount.set(then, predecessorCount.get(then) + 1);
+    };
+    for (const system of systems) {
+      for (const other of system.after) addEdge(resolve(other), system);
+      for (const other of system.before) addEdge(system, resolve(other));
+    }
+
+    const ready = systems.filter(system => predecessorCount.get(system) === 0);
+    const sorted = [];
+    while (ready.length) {
+      let next = 0;
+      for (let i = 1; i < ready.length; i++) {
+        if (ready[i].priority < ready[next].priority) next = i;
+        else if (ready[i].priority === ready[next].priority && systems.indexOf(ready[i]) < systems.indexOf(ready[next])) next = i;
+      }
+      const system = ready.splice(next, 1)[0];
+      sorted.push(system);
+      for (const then of successors.get(system)) {
+        predecessorCount.set(then, predecessorCount.get(then) - 1);
+        if (predecessorCount.get(then) === 0) ready.push(then);
+      }
+    }
+
+    if (sorted.length < systems.length) {
+      // Walk backwards through unsorted predecessors until a system repeats.
+      const left = systems.filter(system => predecessorCount.get(system) > 0);
+      const path = [left[0]];
+      while (true) {
+        const current = path[path.length - 1];
+        const previous = left.find(system => successors.get(system).has(current));
+        const index = path.indexOf(previous);
+        if (index !== -1) {
+          const cycle = path.slice(index).reverse();
+          cycle.push(cycle[0]);
+          throw Error("System order has a cycle: " + cycle.map(this._systemLabel).join(" -> ") + ".");
+        }
+        path.push(previous);
+      }
+    }
+
+    systems.splice(0, systems.length, ...sorted);
   }
 
-  _earlyUpdate(deltaT, now, before) {
+  // Calls phase on every system that has a method by that name.
+  _runPhase(phase, ...args) {
+    const profiler = this.profiler;
     for (const system of this.systems) {
-      if (!system.earlyUpdate) continue;
-      system.earlyUpdate(deltaT, now, before);
+      if (!system[phase]) continue;
+      if (this.pausedTick && !system.runWhilePaused) continue;
+      if (!profiler) {
+        system[phase](...args);
+        continue;
+      }
+      const start = profiler.now();
+      system[phase](...args);
+      profiler.record(system, phase, profiler.now() - start);
     }
   }
 
-  _calculus(deltaT) {
+  // Decides how many sub-steps of what dt the sub-stepped phases run for deltaT.
+  _planSubsteps(deltaT) {
+    if (this.fixedTimestep) {
+      // Always step by exactly max_dt and carry the remainder over to the next frame.
+      this._accumulator += deltaT;
+      let iterations = 0;
+      while (this._accumulator >= this.max_dt) {
+        iterations++;
+        this._accumulator -= this.max_dt;
+      }
+      this.alpha = this._accumulator / this.max_dt;
+      return {iterations, dt: this.max_dt};
+    }
+
     const iterations = Math.ceil(deltaT / this.max_dt);
-    const dt = deltaT / iterations;
+    this.alpha = 1;
+    return {iterations, dt: deltaT / iterations};
+  }
 
+  // Consecutive sub-stepped phases run interleaved, once per sub-step each.
+  _runSubsteps(phases, {iterations, dt}) {
     for (let i = 0; i < iterations; i++) {
-      for (const system of this.systems) {
-        if (!system.calculus) continue;
-        system.calculus(dt);
+      for (const phase of phases) {
+        this._runPhase(phase.name, dt);
       }
     }
+    this.commands.flush();
   }
 
-  _update(deltaT, now, before) {
-    for (const system of this.systems) {
-      if (!system.update) continue;
-      system.update(deltaT, now, before);
+  // Events live for the tick they're emitted in and the next, so every
+  // simulation reader gets a chance to see them. Draw runs on its own, slower
+  // loop, so while it's running expired events are kept until the next render,
+  // for up to MAX_UNDRAWN_TICKS ticks.
+  _swapEvents() {
+    const drawing = this._drawId !== undefined;
+    for (const eventType of this.eventTypes.values()) {
+      if (drawing) {
+        eventType._undrawn.push(eventType._previous);
+        if (eventType._undrawn.length > MAX_UNDRAWN_TICKS) eventType._undrawn.shift();
+      }
+      eventType._previous = eventType._current;
+      eventType._current = [];
     }
   }
 
-  _draw(deltaT, now, before) {
-    for (const system of this.systems) {
-      if (!system.draw) continue;
-      system.draw(deltaT, now, before);
+  _clearUndrawnEvents() {
+    for (const eventType of this.eventTypes.values()) {
+      eventType._undrawn = [];
+    }
+  }
+
+  // With pausedTick only systems that run while paused are called,
+  // and sub-stepped phases are skipped.
+  _simulate(deltaT, now, before, pausedTick = false) {
+    this._swapEvents();
+    this.pausedTick = pausedTick;
+    try {
+      const substeps = pausedTick ? {iterations: 0, dt: 0} : this._planSubsteps(deltaT);
+      const phases = this.pipeline.filter(phase => phase.loop === "simulation");
+      for (let i = 0; i < phases.length; i++) {
+        if (phases[i].substep) {
+          const group = [];
+          while (i < phases.length && phases[i].substep) group.push(phases[i++]);
+          i--;
+          this._runSubsteps(group, substeps);
+        } else {
+          this._runPhase(phases[i].name, deltaT, now, before);
+          this.commands.flush();
+        }
+      }
+    } finally {
+      this.pausedTick = false;
+    }
+  }
+
+  _render(deltaT, now, before) {
+    for (const phase of this.pipeline) {
+      if (phase.loop !== "render") continue;
+      this._runPhase(phase.name, deltaT, now, before, this.alpha);
+      this.commands.flush();
     }
+    this._clearUndrawnEvents();
   }
 
-  constructor(max_dt = 0.02, maxTimesBiggerThanMaxDt = 10) {
+  // clock provides now, setInterval, clearInterval, requestAnimationFrame
+  // and cancelAnimationFrame. Pass a ManualClock to drive the loop by hand.
+  // pipeline is a list of phases like World.defaultPipeline.
+  constructor(max_dt = 0.02, maxTimesBiggerThanMaxDt = 10, clock = realClock, pipeline = defaultPipeline) {
     const world = this;
     this.entitiesByComponentType = new MapOfSets(); // componentType: entities set
     this.entitiesByName = new MapOfSets(); // name: entities set
     this.entities = new Set(); // All existing entities
+    this.uniqueNames = false; // When true, naming an entity like a living one throws
+    // Enables checks that cost time, like validating component values against schemas.
+    this.devMode = typeof process === "undefined" || process.env.NODE_ENV !== "production";
+    this._entitySlots = []; // id: living entity
+    this._generations = []; // id: generation of the next entity to get that id
+    this._freeIds = [];
     this.max_dt = max_dt;
     this.maxTimesBiggerThanMaxDt = maxTimesBiggerThanMaxDt;
+    this.clock = clock;
+
+    const phaseNames = new Set();
+    this.pipeline = pipeline.map(({name, loop, substep = false}) => {
+      if (typeof name !== "string" || name === "") throw TypeError("Phase name must be non empty string.");
+      if (phaseNames.has(name)) throw Error("Phase " + name + " appears twice in pipeline.");
+      if (loop !== "simulation" && loop !== "render") throw Error("Phase " + name + " loop must be \"simulation\" or \"render\".");
+      if (substep && loop !== "simulation") throw Error("Only simulation phases can be sub-stepped, but " + name + " is a render phase.");
+      phaseNames.add(name);
+      return {name, loop, substep};
+    });
+    this._stepTime = 0; // ms of simulated time passed through step
+
+    // With fixedTimestep calculus always gets exactly max_dt. alpha is how far
+    // (0 to 1) the unsimulated remainder is into the next step, so draw can
+    // blend previous and current state. Without it alpha is always 1.
+    this.fixedTimestep = false;
+    this._accumulator = 0;
+    this.alpha = 1;
 
-    this.systems = [];
+    // Simulation deltaT is multiplied by timeScale. While paused only systems
+    // with runWhilePaused get simulation phases, but every system is still drawn.
+    // Both only apply to the loop run by start: step always simulates the deltaT it's given.
+    this.timeScale = 1;
+    this.paused = false;
+    // True during ticks run while paused, so runWhilePaused systems can tell
+    // them apart, e.g. to keep them out of input recordings.
+    this.pausedTick = false;
+    this._pendingSteps = []; // deltaTs of ticks requested by stepOnce
+
+    this.systems = []; // Active systems in run order
+    this.profiler = null; // Set to a Profiler to time systems
+    this.systemsByName = new Map();
+
+    this.prefabs = new Map(); // name: prefab
+
+    this.resources = new Map(); // key (string or ComponentType): singleton value
+
+    this.eventTypes = new Map(); // name: event type
+
+    this.plugins = new Map(); // name: installed plugin record
+    this._installing = null; // Record of the plugin being installed, which collects what it creates
+    this._pluginPath = []; // Names of the plugins whose dependencies are being installed, outermost first
+
+    // Structural changes requested from inside system loops.
+    this.commands = new CommandBuffer(this);
 
     this.queries = new MapOfSets();
     this.cachedQueries = new Map();
+    this._queryListeners = new MapOfSets(); // query key: queries with listeners
+    this._queryKeysByComponentType = new MapOfSets(); // componentType: keys of cached queries that mention it
+    this._emptyEntityQueryKeys = new Set(); // keys of cached queries an entity without components matches
+    this._relationQueryKeys = new Set(); // keys of cached queries that filter by parent
+    this._parentQueryKeysByComponentType = new MapOfSets(); // componentType: keys of cached queries that require it on the parent
+    this._nextComponentBit = 0;
 
     this.ComponentType = class ComponentType {
 
       static tag = Symbol();
 
-      // TODO IMPLEMENT ONDELETE OR SOMETHING ALONG THOSE LINES
-      // TO CLEAN UP SPRITES OR DOM ELEMENTS CREATED ON CREATION
-      // Also on change. If I change a flat component that
-      // points to a dom element with another one, the old one
-      // will still exist. Think about this... Seems bad.
-      constructor(name, defaultValue, onDelete) {
+      // options.serialize(value) and options.revive(data) convert values
+      // that can't be represented as json, for world.serialize/deserialize.
+      // options.onAdd(entity, value), options.onChange(entity, newValue, oldValue)
+      // and options.onRemove(entity, value) let values that own resources
+      // (sprites, dom elements) set them up and clean them up.
+      // options.schema (see Schema.js) fills in missing fields of values and, in
+      // dev mode, validates them. Without a defaultValue the default comes from the schema.
+      constructor(name, defaultValue, options = {}) {
         if (typeof name !== "string") throw TypeError("name must be string.");
         if (ComponentType[name]) throw TypeError("Component type " + name + " already exists.");
-        if (name.split(",").length > 1) throw Error("Illegal character ',' in Component name.");
+        // These characters are used in query keys.
+        const illegal = name.match(/[,!?^]/);
+        if (illegal) throw Error("Illegal character '" + illegal[0] + "' in Component name.");
         // Validate defaultValue
         if (defaultValue !== null && typeof defaultValue === "object") throw Error("Default value can't be object. Make it a constructor function instead.");
         this.name = name;
+        this.schema = options.schema === undefined ? null : new Schema(options.schema);
+        if (defaultValue === undefined && this.schema) defaultValue = () => this.schema.defaults();
         this.defaultValue = defaultValue === undefined ? ComponentType.tag : defaultValue;
+        this.serialize = options.serialize;
+        this.revive = options.revive;
+        this.onAdd = options.onAdd;
+        this.onChange = options.onChange;
+        this.onRemove = options.onRemove;
+        this.bit = world._nextComponentBit++; // Position in entity and query bitmasks
         ComponentType[name] = this;
+        if (world._installing) world._installing.componentTypes.push(this);
       }
     }
 
     this.Query = class Query {
 
+      // A descriptor is an object like {all: [...], none: [...], any: [...], optional: [...], parent}.
+      // Any of its lists may be omitted. Optional components don't affect which
+      // entities match, they only document what the user of the query may read.
+      // parent is true to only match children, false to only match roots,
+      // or components the parent must have.
+      static isDescriptor(value) {
+        if (!value || typeof value !== "object") return false;
+        if (Array.isArray(value) || value instanceof Set || value instanceof world.ComponentType) return false;
+        if (typeof value.parent === "boolean") return true;
+        return ["all", "none", "any", "optional", "parent"].some(list => value[list] && typeof value[list] !== "function");
+      }
+
+      static _toList(components) {
+        if (!components) return [];
+        if (components instanceof world.ComponentType) return [components];
+        return Array.from(components);
+      }
+
       constructor(components) {
-        if (components instanceof world.ComponentType) components = [components];
-        components = Array.from(components);
-        this.components = components;
-        let key = [];
-        for (const component of components) {
-          key.push(component.name);
+        const descriptor = Query.isDescriptor(components) ? components : {all: components};
+        this.components = Query._toList(descriptor.all);
+        this.none = Query._toList(descriptor.none);
+        this.any = Query._toList(descriptor.any);
+        this.optional = Query._toList(descriptor.optional);
+        if (typeof descriptor.parent === "boolean") {
+          this.parent = descriptor.parent;
+          this.parentComponents = [];
+        } else {
+          this.parentComponents = Query._toList(descriptor.parent);
+          if (this.parentComponents.length) this.parent = true;
+        }
+
+        for (const component of [...this.components, ...this.none, ...this.any, ...this.optional, ...this.parentComponents]) {
+          if (!(component instanceof world.ComponentType)) throw TypeError("Query components must be instances of ComponentType.");
         }
-        key = key.sort().join(",");
-        if (components.length > 1) {
+
+        const names = (list, prefix) => list.map(component => prefix + component.name).sort();
+        const key = [
+          ...names(this.components, ""),
+          ...names(this.none, "!"),
+          ...names(this.any, "?"),
+          ...(this.parent === undefined ? [] : [this.parent ? "^" : "!^"]),
+          ...names(this.parentComponents, "^")
+        ].join(",");
+        if (this.components.length !== 1 || this.none.length || this.any.length || this.parent !== undefined) {
           const value = world.cachedQueries.get(key);
           if (value) {
             value.queries++;
           } else {
-            world.cachedQueries.set(key, {list: components, queries: 1});
+            const bits = list => list.map(component => component.bit);
+            world.cachedQueries.set(key, {
+              list: this.components,
+              none: this.none,
+              any: this.any,
+              allMask: Bitmask.from(bits(this.components)),
+              noneMask: Bitmask.from(bits(this.none)),
+              anyMask: Bitmask.from(bits(this.any)),
+              parent: this.parent,
+              parentList: this.parentComponents,
+              parentMask: Bitmask.from(bits(this.parentComponents)),
+              queries: 1
+            });
+            for (const component of [...this.components, ...this.none, ...this.any]) {
+              world._queryKeysByComponentType.set(component, key);
+            }
+            if (this.parent !== undefined) world._relationQueryKeys.add(key);
+            for (const component of this.parentComponents) {
+              world._parentQueryKeysByComponentType.set(component, key);
+            }
+            if (!this.components.length && !this.any.length) world._emptyEntityQueryKeys.add(key);
 
             // initialize query set
             for (const entity of world.entities) {
               entity.refreshQuery(key);
             }
           }
-          this.key = key;
+          this._cached = true;
         }
+        this.key = key;
+        this._listeners = {enter: new Set(), exit: new Set()};
       }
 
       get entities() {
-        if (this.key) {
+        if (this._cached) {
           return world.queries.get(this.key);
         } else {
-          return world.entitiesByComponentType(this.components[0]);
+          return world.entitiesByComponentType.get(this.components[0]);
+        }
+      }
+
+      // type is "enter" or "exit". callback(entity) is called when an entity
+      // starts or stops matching the query.
+      addListener(type, callback) {
+        if (!this._listeners[type]) throw TypeError("Unknown query event " + type + ".");
+        this._listeners[type].add(callback);
+        world._queryListeners.set(this.key, this);
+      }
+
+      removeListener(type, callback) {
+        if (!this._listeners[type]) throw TypeError("Unknown query event " + type + ".");
+        this._listeners[type].delete(callback);
+        if (!this._listeners.enter.size && !this._listeners.exit.size) {
+          world._queryListeners.delete(this.key, this);
+        }
+      }
+
+      _emit(type, entity) {
+        for (const callback of this._listeners[type]) {
+          callback(entity);
         }
       }
 
       destroy() {
-        if (this.key) {
+        world._queryListeners.delete(this.key, this);
+        this._listeners.enter.clear();
+        this._listeners.exit.clear();
+        if (this._cached) {
           const value = world.cachedQueries.get(this.key);
           value.queries--;
           if (value.queries < 1) {
+            for (const entity of world.queries.get(this.key)) {
+              entity._queries.delete(this.key);
+            }
+            for (const component of [...value.list, ...value.none, ...value.any]) {
+              world._queryKeysByComponentType.delete(component, this.key);
+            }
+            for (const component of value.parentList) {
+              world._parentQueryKeysByComponentType.delete(component, this.key);
+            }
+            world._emptyEntityQueryKeys.delete(this.key);
+            world._relationQueryKeys.delete(this.key);
             world.cachedQueries.delete(this.key);
             world.queries.clearSet(this.key);
           }
-          delete this.key;
+          this._cached = false;
         }
       }
 
@@ -142,43 +533,22 @@ class World {
 
     this.System = class System {
 
-      _determineAfterPriority(after, afterPriority) {
-        if (after instanceof world.System) {
-          if (afterPriority === undefined || afterPriority >= after.priority) {
-            afterPriority = after.priority - 0.1;
-          }
-        } else if (after) {
-          // after is a list or a set
-          for (const system of after) {
-            if (afterPriority === undefined || afterPriority >= system.priority) {
-              afterPriority = system.priority - 0.1;
-            }
-          }
-        }
-
-        return afterPriority;
-      }
-
-      _determineBeforePriority(before, beforePriority) {
-        if (before instanceof world.System) {
-          if (beforePriority === undefined || beforePriority <= before.priority) {
-            beforePriority = before.priority + 0.1;
-          }
-        } else if (before) {
-          // before is a list or a set
-          for (const system of before) {
-            if (beforePriority === undefined || beforePriority <= system.priority) {
-              beforePriority = system.priority + 0.1;
-            }
-          }
-        }
-
-        return beforePriority;
+      // Turns an after/before option (system, name or list of those) into a list.
+      static _toList(systems) {
+        if (!systems) return [];
+        if (systems instanceof System || typeof systems === "string") return [systems];
+        return Array.from(systems);
       }
 
+      // priority is a number, or an object {name, priority, after, before, resources, runWhilePaused}.
+      // after and before take systems or system names, alone or in a list, and
+      // only constrain the order against systems that are currently active.
+      // Systems with no constraint between them run in ascending priority.
+      // resources lists resource keys to read from this.resources, by key,
+      // or by name for component type keys.
       constructor(components, methods, priority = 0) {
 
-        if (!Array.isArray(components) && !(components instanceof Set) && !(components instanceof world.ComponentType)) {
+        if (!Array.isArray(components) && !(components instanceof Set) && !(components instanceof world.ComponentType) && !world.Query.isDescriptor(components)) {
           priority = methods || 0;
           methods = components;
           components = null;
@@ -189,74 +559,163 @@ class World {
         }
 
         this.components = components;
+        this.world = world;
+        this.resources = {};
+        this._eventReaders = new Map(); // event type: reader
 
         if (typeof priority === "number") {
           this.priority = priority;
+          this.after = [];
+          this.before = [];
+          this.runWhilePaused = false;
         } else {
-          this.after = priority.after;
-          this.before = priority.before;
-          // Set priority from after
-          let afterPriority = this._determineAfterPriority(this.after);
-          // Set priority from before
-          let beforePriority = this._determineBeforePriority(this.before);
-          if (afterPriority && beforePriority) {
-            if (afterPriority > beforePriority) throw Error(`Check your system priority, because something is wrong. before is ${beforePriority}, after is ${afterPriority}`);
-            this.priority = (afterPriority + beforePriority) * 0.5;
-          } else if (afterPriority) {
-            this.priority = afterPriority;
-          } else if (beforePriority) {
-            this.priority = beforePriority;
-          } else {
-            this.priority = 0;
+          this.priority = priority.priority || 0;
+          this.runWhilePaused = !!priority.runWhilePaused;
+          this.after = System._toList(priority.after);
+          this.before = System._toList(priority.before);
+          for (const key of priority.resources || []) {
+            Object.defineProperty(this.resources, key instanceof world.ComponentType ? key.name : key, {
+              get: () => world.getResource(key),
+              enumerable: true
+            });
+          }
+          if (priority.name !== undefined) {
+            if (typeof priority.name !== "string" || priority.name === "") throw TypeError("System name must be non empty string.");
+            if (world.systemsByName.has(priority.name)) throw Error("System " + priority.name + " already exists.");
+            this.name = priority.name;
+            world.systemsByName.set(this.name, this);
           }
         }
+        if (world._installing) world._installing.systems.push(this);
         this._active = false;
-        this.activate();
+        try {
+          this.activate();
+        } catch (error) {
+          if (this.name) world.systemsByName.delete(this.name);
+          throw error;
+        }
       }
 
       activate() {
         if (this._active) return false;
-        // Sort by priority
-        let insertIndex = world.systems.length;
-        for (let i = world.systems.length - 1; i >= 0; i--) {
-          if (world.systems[i].priority <= this.priority) break;
-          insertIndex = i;
+        world.systems.push(this);
+        try {
+          world._sortSystems();
+        } catch (error) {
+          world.systems.pop();
+          throw error;
         }
-        world.systems.splice(insertIndex, 0, this);
         if (this.components) {
           this._query = new world.Query(this.components);
-          this.entities = this._query.entities;
+          // Entities already matching enter the system on activation.
+          if (this.onEnter) {
+            this._query.addListener("enter", entity => this.onEnter(entity));
+            for (const entity of this.entities) this.onEnter(entity);
+          }
+          if (this.onExit) {
+            this._query.addListener("exit", entity => this.onExit(entity));
+          }
         }
         this._active = true;
         return true;
       }
 
+      get entities() {
+        if (this._query) return this._query.entities;
+      }
+
+      // Payloads of eventType (or its name) this system hasn't read yet.
+      readEvents(eventType) {
+        if (typeof eventType === "string") eventType = world.eventTypes.get(eventType);
+        if (!(eventType instanceof world.EventType)) throw TypeError("eventType must be instance of EventType or its name.");
+        let reader = this._eventReaders.get(eventType);
+        if (!reader) {
+          reader = eventType.createReader();
+          this._eventReaders.set(eventType, reader);
+        }
+        return reader.read();
+      }
+
       deactivate() {
         this._active = false;
         if (this._query) {
+          // Entities still matching exit the system on deactivation.
+          if (this.onExit) {
+            for (const entity of this.entities) this.onExit(entity);
+          }
           this._query.destroy();
           delete this._query;
         }
         for (let i = 0; i < world.systems.length; i++) {
           if (world.systems[i] === this) {
             world.systems.splice(i, 1);
+            world._sortSystems();
             break;
           }
         }
       }
     }
 
+    for (const {name} of this.pipeline) {
+      if (reservedPhaseNames.has(name) || name in this.System.prototype) throw Error("Phase name " + name + " is reserved by System.");
+    }
+
     this.Entity = class Entity {
       constructor(name) {
         if (name || name === "") {
-          if (typeof name !== "string" || name === "") throw TypeError("name must be non empty string.");
-          this.name = name;
+          world._checkName(name);
+          this._name = name;
         }
 
         world._addEntity(this);
 
         this.components = new Map();
-        this.componentNames = new Set();
+        this.mask = new Bitmask(); // Bits of the component types the entity has
+        this._queries = new Set(); // Keys of the cached queries the entity is in
+        this.parent = null;
+        this.children = new Set();
+
+        // Queries with only none components can match an entity with no components.
+        for (const queryKey of world._emptyEntityQueryKeys) {
+          this.refreshQuery(queryKey);
+        }
+      }
+
+      get name() {
+        return this._name;
+      }
+
+      set name(name) {
+        this.rename(name);
+      }
+
+      // Pass undefined to remove the name.
+      rename(name) {
+        world._checkAlive(this);
+        if (name === this._name) return false;
+        if (name !== undefined) world._checkName(name);
+        if (this._name) world.entitiesByName.delete(this._name, this);
+        this._name = name;
+        if (name) world.entitiesByName.set(name, this);
+        return true;
+      }
+
+      // Number identifying this entity and its generation. Unlike id, it
+      // never resolves to a later entity that reuses the id.
+      get handle() {
+        return this.generation * ID_LIMIT + this.id;
+      }
+
+      isAlive() {
+        return world.entities.has(this);
+      }
+
+      // A new set of the names of this entity's component types on each read,
+      // so editing it doesn't change the entity.
+      get componentNames() {
+        const names = new Set();
+        for (const componentType of this.components.keys()) names.add(componentType.name);
+        return names;
       }
 
       refreshQueries() {
@@ -265,58 +724,151 @@ class World {
         }
       }
 
-      refreshQuery(queryKey) {
-        let belongInQuery = true;
-        queryKey = queryKey.split(",");
-        for (const componentName of queryKey) {
-          if (!this.componentNames.has(componentName)) {
-            belongInQuery = false;
-            break;
+      // Only queries that mention componentType can change when it's added or removed,
+      // and for the children only queries that require it on their parent.
+      _refreshQueriesOf(componentType) {
+        for (const queryKey of world._queryKeysByComponentType.get(componentType)) {
+          this.refreshQuery(queryKey);
+        }
+        const parentQueryKeys = world._parentQueryKeysByComponentType.get(componentType);
+        if (!parentQueryKeys.size) return;
+        for (const child of this.children) {
+          for (const queryKey of parentQueryKeys) {
+            child.refreshQuery(queryKey);
           }
         }
+      }
+
+      // Adds or removes the entity from a cached query and notifies its listeners.
+      refreshQuery(queryKey) {
+        const {allMask, noneMask, anyMask, any, parent, parentMask} = world.cachedQueries.get(queryKey);
+        const belongInQuery = world.entities.has(this)
+          && this.mask.containsAll(allMask)
+          && !this.mask.intersects(noneMask)
+          && (!any.length || this.mask.intersects(anyMask))
+          && (parent === undefined || parent === !!this.parent)
+          && (!this.parent || this.parent.mask.containsAll(parentMask));
+        if (belongInQuery === this._queries.has(queryKey)) return;
         if (belongInQuery) {
-          world.queries.set(queryKey.join(","), this);
+          this._queries.add(queryKey);
+          world.queries.set(queryKey, this);
         } else {
-          world.queries.delete(queryKey.join(","), this);
+          this._queries.delete(queryKey);
+          world.queries.delete(queryKey, this);
         }
+        world._notifyQuery(queryKey, this, belongInQuery);
       }
 
+      // Descendants die too, deepest first.
       die() {
+        if (!world.entities.has(this)) return false;
+        for (const child of Array.from(this.children)) {
+          child.die();
+        }
         world._removeEntity(this);
+        if (this.parent) {
+          this.parent.children.delete(this);
+          this.parent = null;
+        }
+        return true;
+      }
+
+      // Pass null to make the entity a root again.
+      setParent(parent) {
+        world._checkAlive(this);
+        if (parent !== null && !(parent instanceof world.Entity)) throw TypeError("parent must be instance of Entity or null.");
+        if (parent && !world.entities.has(parent)) throw Error("Can't parent to an entity that died.");
+        for (let ancestor = parent; ancestor; ancestor = ancestor.parent) {
+          if (ancestor === this) throw Error("Can't parent an entity to itself or its descendant.");
+        }
+        if (parent === this.parent) return false;
+
+        if (this.parent) this.parent.children.delete(this);
+        this.parent = parent;
+        if (parent) parent.children.add(this);
+
+        for (const queryKey of world._relationQueryKeys) {
+          this.refreshQuery(queryKey);
+        }
+        return true;
+      }
+
+      // Combines the values of componentType from the root down to this entity,
+      // e.g. combine = (parent, local) => ({x: parent.x + local.x, y: parent.y + local.y})
+      // for positions. Ancestors without the component are skipped.
+      getWorldComponent(componentType, combine) {
+        const values = [];
+        for (let entity = this; entity; entity = entity.parent) {
+          if (entity.hasComponent(componentType)) values.push(entity.getComponent(componentType));
+        }
+        let value = values.pop();
+        while (values.length) {
+          value = combine(value, values.pop());
+        }
+        return value;
       }
 
       addComponent(componentType, value) {
         if (!(componentType instanceof world.ComponentType)) throw TypeError("componentType must be instance of ComponentType.");
+        world._checkAlive(this);
         if (this.components.has(componentType)) return false;
         if (arguments.length === 1) value = componentType.defaultValue;
         if (typeof value === "function") value = value();
+        value = world._prepareValue(this, componentType, value);
 
         this.components.set(componentType, value);
-        this.componentNames.add(componentType.name);
+        this.mask.set(componentType.bit);
         world.entitiesByComponentType.set(componentType, this);
+        world._notifyQuery(componentType.name, this, true);
 
-        this.refreshQueries();
+        this._refreshQueriesOf(componentType);
+
+        if (componentType.onAdd) componentType.onAdd(this, value);
 
         return true;
       }
 
       deleteComponent(componentType) {
-        if (!this.components.delete(componentType)) return false;
-        this.componentNames.delete(componentType.name);
+        if (!this.components.has(componentType)) return false;
+        const value = this.components.get(componentType);
+        this.components.delete(componentType);
+        this.mask.clear(componentType.bit);
         world.entitiesByComponentType.delete(componentType, this);
+        world._notifyQuery(componentType.name, this, false);
+
+        this._refreshQueriesOf(componentType);
 
-        this.refreshQueries();
+        if (componentType.onRemove) componentType.onRemove(this, value);
 
         return true;
       }
 
       clearComponents() {
-        for (const componentType of this.components.delete(componentType)) {
-          this.componentNames.delete(componentType.name);
+        const removed = Array.from(this.components);
+        for (const [componentType] of removed) {
           world.entitiesByComponentType.delete(componentType, this);
+          world._notifyQuery(componentType.name, this, false);
         }
+        this.components.clear();
+        this.mask.clearAll();
 
-        this.refreshQueries();
+        const queryKeys = new Set(this._queries);
+        for (const [componentType] of removed) {
+          for (const queryKey of world._queryKeysByComponentType.get(componentType)) queryKeys.add(queryKey);
+        }
+        for (const queryKey of world._emptyEntityQueryKeys) queryKeys.add(queryKey);
+        for (const queryKey of queryKeys) {
+          this.refreshQuery(queryKey);
+        }
+        for (const [componentType] of removed) {
+          for (const queryKey of world._parentQueryKeysByComponentType.get(componentType)) {
+            for (const child of this.children) child.refreshQuery(queryKey);
+          }
+        }
+
+        for (const [componentType, value] of removed) {
+          if (componentType.onRemove) componentType.onRemove(this, value);
+        }
 
         return true;
       }
@@ -330,25 +882,344 @@ class World {
       }
 
       setComponent(componentType, newValue) {
+        world._checkAlive(this);
         if (!this.hasComponent(componentType)) return false;
-        if (this.getComponent(componentType) === ComponentType.tag) return false;
+        const oldValue = this.getComponent(componentType);
+        if (oldValue === world.ComponentType.tag) return false;
+        newValue = world._prepareValue(this, componentType, newValue);
+        // Setting the value already there (e.g. after mutating it) isn't a change.
+        const changed = newValue !== oldValue;
         this.components.set(componentType, newValue);
+        if (changed && componentType.onChange) componentType.onChange(this, newValue, oldValue);
         return true;
       }
     }
 
+    this.EventType = class EventType {
+      constructor(name) {
+        if (typeof name !== "string" || name === "") throw TypeError("Event type name must be non empty string.");
+        if (world.eventTypes.has(name)) throw Error("Event type " + name + " already exists.");
+        this.name = name;
+        this._undrawn = []; // buffers of ticks that expired before a render saw them
+        this._previous = [];
+        this._current = [];
+        this._count = 0;
+        world.eventTypes.set(name, this);
+        if (world._installing) world._installing.eventTypes.push(this);
+      }
+
+      emit(payload) {
+        this._current.push({number: ++this._count, payload});
+      }
+
+      createReader() {
+        return new EventReader(this);
+      }
+    }
+
+    this.Prefab = class Prefab {
+
+      // Loads prefabs from json (string or parsed object) describing one prefab
+      // or a list of them, like {name, extends, components: {name: value}, tags: [...]}.
+      // extends names a prefab that is already loaded or earlier in the list.
+      static load(json) {
+        if (typeof json === "string") json = JSON.parse(json);
+        if (Array.isArray(json)) return json.map(data => Prefab.load(data));
+
+        const components = [];
+        for (const name of json.tags || []) {
+          components.push(world._getComponentType(name));
+        }
+        for (const [name, data] of Object.entries(json.components || {})) {
+          const componentType = world._getComponentType(name);
+          // Every spawn gets its own copy of the value.
+          components.push([componentType, () => {
+            const value = structuredClone(data);
+            return componentType.revive ? componentType.revive(value) : value;
+          }]);
+        }
+        return new Prefab(json.name, components, json.extends);
+      }
+
+      // components is an iterable of component types (default values) or
+      // [componentType, value] pairs. Like default values, object values
+      // must be wrapped in a function so each spawn gets its own.
+      // base is a prefab or prefab name whose components this one inherits and overrides.
+      constructor(name, components = [], base = null) {
+        if (typeof name !== "string" || name === "") throw TypeError("Prefab name must be non empty string.");
+        if (world.prefabs.has(name)) throw Error("Prefab " + name + " already exists.");
+        if (typeof base === "string") {
+          if (!world.prefabs.has(base)) throw Error("Unknown prefab " + base + ".");
+          base = world.prefabs.get(base);
+        }
+        if (base !== null && !(base instanceof Prefab)) throw TypeError("base must be instance of Prefab.");
+
+        this.name = name;
+        this.base = base;
+        this.components = new Map(base ? base.components : []); // componentType: value
+        for (const component of components) {
+          const [componentType, value] = component instanceof world.ComponentType
+            ? [component, component.defaultValue]
+            : component;
+          if (!(componentType instanceof world.ComponentType)) throw TypeError("Prefab components must be instances of ComponentType.");
+          if (value !== null && typeof value === "object") throw Error("Prefab value of " + componentType.name + " can't be object. Make it a constructor function instead.");
+          this.components.set(componentType, value);
+        }
+        world.prefabs.set(name, this);
+        if (world._installing) world._installing.prefabs.push(this);
+      }
+
+      // overrides is a Map or iterable of [componentType, value] pairs that replace
+      // the prefab's values or add components it doesn't have.
+      spawn(name, overrides = []) {
+        const values = new Map(this.components);
+        for (const [componentType, value] of overrides) {
+          values.set(componentType, value);
+        }
+        const entity = new world.Entity(name);
+        for (const [componentType, value] of values) {
+          entity.addComponent(componentType, value);
+        }
+        return entity;
+      }
+    }
+
+  }
+
+  // Without a value, a ComponentType key gets its default value like addComponent.
+  setResource(key, value) {
+    if (arguments.length === 1) {
+      if (!(key instanceof this.ComponentType)) throw TypeError("Only ComponentType resource keys have a default value.");
+      value = key.defaultValue;
+    }
+    if (typeof value === "function" && key instanceof this.ComponentType) value = value();
+    this.resources.set(key, value);
+    if (this._installing) this._installing.resources.push(key);
+  }
+
+  getResource(key) {
+    if (!this.resources.has(key)) throw Error("Missing resource " + (key instanceof this.ComponentType ? key.name : String(key)) + ".");
+    return this.resources.get(key);
+  }
+
+  hasResource(key) {
+    return this.resources.has(key);
+  }
+
+  deleteResource(key) {
+    return this.resources.delete(key);
+  }
+
+  _pluginName(plugin) {
+    const name = typeof plugin === "string" ? plugin : plugin.name;
+    if (typeof name !== "string" || name === "") throw TypeError("Plugin must have a non empty name.");
+    return name;
+  }
+
+  // plugin is a function install(world) or an object {name, dependencies, install(world), uninstall(world, exports)}.
+  // dependencies are plugins, installed first if they aren't yet, or names of installed plugins.
+  // Component types, systems, resources, prefabs and event types created while
+  // installing belong to the plugin and are removed when it's uninstalled.
+  // Returns what install returned, also available through getPlugin.
+  use(plugin) {
+    if (typeof plugin === "function") plugin = {name: plugin.name, install: plugin};
+    const name = this._pluginName(plugin);
+    if (this.plugins.has(name)) return this.plugins.get(name).exports;
+
+    const index = this._pluginPath.indexOf(name);
+    if (index !== -1) {
+      const cycle = this._pluginPath.slice(index).concat(name);
+      throw Error("Plugin dependencies have a cycle: " + cycle.join(" -> ") + ".");
+    }
+    const dependencies = [];
+    this._pluginPath.push(name);
+    try {
+      for (const dependency of plugin.dependencies || []) {
+        const dependencyName = this._pluginName(dependency);
+        if (!this.plugins.has(dependencyName)) {
+          if (typeof dependency === "string") throw Error("Plugin " + name + " depends on " + dependencyName + ", which isn't installed.");
+          this.use(dependency);
+        }
+        dependencies.push(dependencyName);
+      }
+    } finally {
+      this._pluginPath.pop();
+    }
+
+    const record = {plugin, dependencies, exports: undefined, componentTypes: [], systems: [], resources: [], prefabs: [], eventTypes: []};
+    const outer = this._installing;
+    this._installing = record;
+    try {
+      record.exports = plugin.install(this);
+    } catch (error) {
+      this._removePluginParts(record);
+      throw error;
+    } finally {
+      this._installing = outer;
+    }
+    this.plugins.set(name, record);
+    return record.exports;
+  }
+
+  getPlugin(name) {
+    const record = this.plugins.get(name);
+    if (record) return record.exports;
+  }
+
+  // Deactivates the plugin's systems and removes its component types (from every
+  // entity too), resources, prefabs and event types.
+  uninstall(plugin) {
+    const name = this._pluginName(plugin);
+    const record = this.plugins.get(name);
+    if (!record) return false;
+    for (const [otherName, other] of this.plugins) {
+      if (other.dependencies.includes(name)) throw Error("Can't uninstall " + name + " because " + otherName + " depends on it.");
+    }
+    if (record.plugin.uninstall) record.plugin.uninstall(this, record.exports);
+    this._removePluginParts(record);
+    this.plugins.delete(name);
+    return true;
+  }
+
+  _removePluginParts(record) {
+    for (const system of record.systems) {
+      system.deactivate();
+      if (system.name) this.systemsByName.delete(system.name);
+    }
+    for (const componentType of record.componentTypes) {
+      for (const entity of Array.from(this.entitiesByComponentType.get(componentType))) {
+        entity.deleteComponent(componentType);
+      }
+      delete this.ComponentType[componentType.name];
+      this.resources.delete(componentType);
+    }
+    for (const key of record.resources) this.resources.delete(key);
+    for (const prefab of record.prefabs) this.prefabs.delete(prefab.name);
+    for (const eventType of record.eventTypes) this.eventTypes.delete(eventType.name);
+  }
+
+  // eventType is an EventType or its name.
+  emit(eventType, payload) {
+    if (typeof eventType === "string") {
+      if (!this.eventTypes.has(eventType)) throw Error("Unknown event type " + eventType + ".");
+      eventType = this.eventTypes.get(eventType);
+    }
+    if (!(eventType instanceof this.EventType)) throw TypeError("eventType must be instance of EventType.");
+    eventType.emit(payload);
+  }
+
+  // Living entity with this id, if any.
+  getEntity(id) {
+    return this._entitySlots[id];
+  }
+
+  // Entity the handle was taken from, if it's still alive.
+  getEntityByHandle(handle) {
+    const entity = this._entitySlots[handle % ID_LIMIT];
+    if (entity && entity.generation === Math.floor(handle / ID_LIMIT)) return entity;
+  }
+
+  // The only (or first) living entity with this name.
+  getByName(name) {
+    for (const entity of this.entitiesByName.get(name)) return entity;
+  }
+
+  getAllByName(name) {
+    return Array.from(this.entitiesByName.get(name));
+  }
+
+  serialize() {
+    const entities = [];
+    const indices = new Map(); // entity: index in entities
+    for (const entity of this.entities) indices.set(entity, indices.size);
+    for (const entity of this.entities) {
+      const data = {components: {}, tags: []};
+      if (entity.name) data.name = entity.name;
+      if (entity.parent) data.parent = indices.get(entity.parent);
+      for (const [componentType, value] of entity.components) {
+        if (value === this.ComponentType.tag) {
+          data.tags.push(componentType.name);
+        } else if (componentType.serialize) {
+          data.components[componentType.name] = componentType.serialize(value);
+        } else {
+          data.components[componentType.name] = value;
+        }
+      }
+      entities.push(data);
+    }
+    return JSON.stringify({version: 1, entities});
+  }
+
+  // Recreates the entities described by json (string or parsed object).
+  // Existing entities are removed first unless clear is false.
+  deserialize(json, clear = true) {
+    if (typeof json === "string") json = JSON.parse(json);
+    if (!json || !Array.isArray(json.entities)) throw TypeError("json must describe a list of entities.");
+
+    if (clear) {
+      for (const entity of this.entities) entity.die();
+    }
+
+    const created = [];
+    for (const data of json.entities) {
+      const entity = new this.Entity(data.name);
+      for (const name of data.tags || []) {
+        entity.addComponent(this._getComponentType(name));
+      }
+      for (const [name, value] of Object.entries(data.components || {})) {
+        const componentType = this._getComponentType(name);
+        entity.addComponent(componentType, componentType.revive ? componentType.revive(value) : value);
+      }
+      created.push(entity);
+    }
+    json.entities.forEach((data, i) => {
+      if (data.parent !== undefined) created[i].setParent(created[data.parent]);
+    });
+    return created;
+  }
+
+  // Pauses the loop run by start. step isn't affected, so headless
+  // loops that drive the world through it have to stop calling it instead.
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    this.paused = false;
+    this._pendingSteps = [];
+  }
+
+  // While paused, runs every system for one tick of deltaT seconds on the next update.
+  // Does nothing when not paused.
+  stepOnce(deltaT = this.max_dt) {
+    if (!this.paused) return false;
+    this._pendingSteps.push(deltaT);
+    return true;
+  }
+
+  // Runs one frame synchronously, with deltaT in seconds. Doesn't need start().
+  // Ignores timeScale and pause, since deltaT is given explicitly.
+  step(deltaT, draw = false) {
+    const before = this._stepTime;
+    const now = before + deltaT * 1000;
+    this._stepTime = now;
+
+    this._simulate(deltaT, now, before);
+
+    if (draw) this._render(deltaT, now, before);
   }
 
   start() {
     // restart
     this.stop();
 
+    const clock = this.clock;
     let usedDivRealDeltaT = 1;
 
-    let updateBefore = performance.now();
-    this._updateId = setInterval(() => {
+    let updateBefore = clock.now();
+    this._updateId = clock.setInterval(() => {
 
-      const updateNow = performance.now();
+      const updateNow = clock.now();
       let deltaT = (updateNow - updateBefore) * 0.001;
       usedDivRealDeltaT = 1;
 
@@ -359,32 +1230,35 @@ class World {
         deltaT = newDeltaT;
       };
 
-      this._earlyUpdate(deltaT, updateNow, updateBefore);
-
-      this._calculus(deltaT);
-
-      this._update(deltaT, updateNow, updateBefore);
+      if (!this.paused) {
+        this._simulate(deltaT * this.timeScale, updateNow, updateBefore);
+      } else if (this._pendingSteps.length) {
+        this._simulate(this._pendingSteps.shift(), updateNow, updateBefore);
+      } else {
+        this._simulate(deltaT, updateNow, updateBefore, true);
+      }
 
       updateBefore = updateNow;
     });
 
-    let drawBefore = performance.now();
+    let drawBefore = clock.now();
     const draw = drawNow => {
-      const deltaT = (drawNow - drawBefore) * 0.001 * usedDivRealDeltaT;
+      const deltaT = this.paused ? 0 : (drawNow - drawBefore) * 0.001 * usedDivRealDeltaT * this.timeScale;
 
-      this._draw(deltaT, drawNow, drawBefore);
+      this._render(deltaT, drawNow, drawBefore);
 
       drawBefore = drawNow;
-      this._drawId = requestAnimationFrame(draw);
+      this._drawId = clock.requestAnimationFrame(draw);
     };
-    this._drawId = requestAnimationFrame(draw);
+    this._drawId = clock.requestAnimationFrame(draw);
   }
 
   stop() {
-    clearInterval(this._updateId);
-    cancelAnimationFrame(this._drawId);
+    this.clock.clearInterval(this._updateId);
+    this.clock.cancelAnimationFrame(this._drawId);
     delete this._updateId;
     delete this._drawId;
+    this._clearUndrawnEvents();
   }
 }
 
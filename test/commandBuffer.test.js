@@ -0,0 +1,73 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import World from "../src/World.js";
+
+test("flush runs commands in the order they were queued", () => {
+  const world = new World();
+  const position = new world.ComponentType("position", 0);
+  const entity = new world.Entity();
+
+  world.commands.add(entity, position, 1);
+  world.commands.remove(entity, position);
+  world.commands.add(entity, position, 2);
+  world.commands.flush();
+
+  assert.equal(entity.getComponent(position), 2);
+  assert.equal(world.commands.size, 0);
+});
+
+test("add without a value uses the default value", () => {
+  const world = new World();
+  const position = new world.ComponentType("position", 5);
+  const entity = new world.Entity();
+
+  world.commands.add(entity, position);
+  world.commands.flush();
+
+  assert.equal(entity.getComponent(position), 5);
+});
+
+test("commands queued while flushing run in the same flush", () => {
+  const world = new World();
+  const tag = new world.ComponentType("marker");
+  const spawned = [];
+
+  world.commands.spawn("parent", [], () => {
+    world.commands.spawn("child", [tag], entity => spawned.push(entity));
+  });
+  world.commands.flush();
+
+  assert.equal(spawned.length, 1);
+  assert.equal(spawned[0].hasComponent(tag), true);
+  assert.equal(world.commands.size, 0);
+});
+
+test("commands on dead entities are skipped", () => {
+  const world = new World();
+  const position = new world.ComponentType("position", 0);
+  const entity = new world.Entity();
+
+  world.commands.destroy(entity);
+  world.commands.add(entity, position);
+  world.commands.destroy(entity);
+  world.commands.flush();
+
+  assert.equal(entity.isAlive(), false);
+  assert.equal(world.entitiesByComponentType.get(position).size, 0);
+});
+
+test("when a command throws, the ones that ran are dropped and the rest stay queued", () => {
+  const world = new World();
+  const entity = new world.Entity();
+
+  world.commands.spawn("a");
+  world.commands.add(entity, "not a component type");
+  world.commands.spawn("b");
+  assert.throws(() => world.commands.flush(), /componentType must be instance of ComponentType/);
+  assert.equal(world.commands.size, 1);
+
+  world.commands.flush();
+  assert.equal(world.getAllByName("a").length, 1);
+  assert.equal(world.getAllByName("b").length, 1);
+  assert.equal(world.commands.size, 0);
+});
@@ -0,0 +1,32 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import World from "../src/World.js";
+
+test("dead entities can't be changed", () => {
+  const world = new World();
+  const position = new world.ComponentType("position", 0);
+  const entered = [];
+  new world.System([position], {
+    onEnter: entity => entered.push(entity)
+  });
+  const parent = new world.Entity();
+  const entity = new world.Entity("doomed");
+  entity.addComponent(position);
+  entity.die();
+
+  assert.throws(() => entity.addComponent(position), {message: "Can't change entity doomed after it died."});
+  assert.throws(() => entity.setComponent(position, 1), /after it died/);
+  assert.throws(() => entity.setParent(parent), /after it died/);
+  assert.throws(() => entity.rename("revived"), /after it died/);
+  assert.equal(entity.deleteComponent(position), false);
+  assert.equal(world.entitiesByComponentType.get(position).size, 0);
+  assert.deepEqual(entered, [entity]);
+});
+
+test("entity.name can be assigned", () => {
+  const world = new World();
+  const entity = new world.Entity("a");
+  entity.name = "b";
+  assert.equal(world.getByName("b"), entity);
+  assert.equal(world.getByName("a"), undefined);
+});
@@ -0,0 +1,96 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import World from "../src/World.js";
+import ManualClock from "../src/ManualClock.js";
+
+test("draw sees events emitted in update when several ticks run per frame", () => {
+  const clock = new ManualClock();
+  const world = new World(0.02, 10, clock);
+  const hit = new world.EventType("hit");
+  let emitted = false;
+  const drawn = [];
+  new world.System({
+    update() {
+      if (!emitted) hit.emit("first");
+      emitted = true;
+    },
+    draw() {
+      drawn.push(...this.readEvents("hit"));
+    }
+  });
+
+  world.start();
+  for (let i = 0; i < 3; i++) clock.tick(4, false);
+  clock.tick(4);
+  world.stop();
+
+  assert.deepEqual(drawn, ["first"]);
+});
+
+test("draw reads each event once", () => {
+  const clock = new ManualClock();
+  const world = new World(0.02, 10, clock);
+  const hit = new world.EventType("hit");
+  const drawn = [];
+  new world.System({
+    update() {
+      hit.emit(clock.now());
+    },
+    draw() {
+      drawn.push(...this.readEvents("hit"));
+    }
+  });
+
+  world.start();
+  for (let frame = 0; frame < 2; frame++) {
+    clock.tick(4, false);
+    clock.tick(4);
+  }
+  world.stop();
+
+  assert.deepEqual(drawn, [4, 8, 12, 16]);
+});
+
+test("simulation readers still see events for the tick after they're emitted", () => {
+  const world = new World();
+  const hit = new world.EventType("hit");
+  const read = [];
+  new world.System({
+    earlyUpdate() {
+      read.push(this.readEvents("hit"));
+    },
+    update() {
+      if (read.length === 1) hit.emit("late");
+    }
+  });
+
+  world.step(0.02);
+  world.step(0.02);
+  world.step(0.02);
+
+  assert.deepEqual(read, [[], ["late"], []]);
+});
+
+test("events expired while frames don't run are dropped after a while", () => {
+  const clock = new ManualClock();
+  const world = new World(0.02, 10, clock);
+  const hit = new world.EventType("hit");
+  let ticks = 0;
+  const drawn = [];
+  new world.System({
+    update() {
+      hit.emit(++ticks);
+    },
+    draw() {
+      drawn.push(...this.readEvents("hit"));
+    }
+  });
+
+  world.start();
+  for (let i = 0; i < 100; i++) clock.tick(4, false);
+  clock.tick(4);
+  world.stop();
+
+  assert.equal(drawn.length, 18);
+  assert.equal(drawn[drawn.length - 1], 101);
+});
@@ -0,0 +1,106 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import Gamepad from "../Gamepad.js";
+
+globalThis.window = new EventTarget();
+let pads = [];
+Object.defineProperty(globalThis, "navigator", {value: {getGamepads: () => pads}, configurable: true});
+
+const pad = ({index = 0, pressed = [], axes = [0, 0, 0, 0]} = {}) => ({
+  index,
+  connected: true,
+  buttons: Array.from({length: 17}, (_, i) => ({pressed: pressed.includes(i), value: pressed.includes(i) ? 1 : 0})),
+  axes
+});
+
+const assertClose = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} isn't close to ${expected}`);
+
+const connectionEvent = (type, gamepad) => window.dispatchEvent(Object.assign(new Event(type), {gamepad}));
+
+test("buttons are pressed, held and released across updates", t => {
+  const gamepad = new Gamepad();
+  t.after(() => gamepad.destroy());
+
+  pads = [pad({pressed: [0]})];
+  gamepad.update();
+  assert.equal(gamepad.isPressed("A"), true);
+  assert.equal(gamepad.isHeld(0), true);
+
+  gamepad.update();
+  assert.equal(gamepad.isPressed("A"), false);
+  assert.equal(gamepad.isHeld("A"), true);
+
+  pads = [pad()];
+  gamepad.update();
+  assert.equal(gamepad.isReleased("A"), true);
+  assert.equal(gamepad.isHeld("A"), false);
+
+  gamepad.update();
+  assert.equal(gamepad.isReleased("A"), false);
+  assert.throws(() => gamepad.isHeld("Z"), {message: "Unknown button Z."});
+});
+
+test("axes within the deadzone read as 0 and the rest is rescaled", t => {
+  const gamepad = new Gamepad(null, 0.2);
+  t.after(() => gamepad.destroy());
+
+  pads = [pad({axes: [0.1, -0.6, 1, 0]})];
+  gamepad.update();
+  assert.equal(gamepad.getAxis(0), 0);
+  assertClose(gamepad.getAxis(1), -0.5);
+  assert.equal(gamepad.getAxis(2), 1);
+
+  pads = [pad({axes: [0.1, 0.1, 0.6, 0.8]})];
+  gamepad.update();
+  assert.deepEqual(gamepad.getStick("left"), {x: 0, y: 0});
+  const right = gamepad.getStick("right");
+  assertClose(right.x, 0.6);
+  assertClose(right.y, 0.8);
+});
+
+test("connecting and disconnecting show up for one update when polled", t => {
+  const gamepad = new Gamepad();
+  t.after(() => gamepad.destroy());
+
+  pads = [];
+  gamepad.update();
+  assert.equal(gamepad.connected, false);
+  assert.equal(gamepad.wasConnected, false);
+
+  pads = [pad({pressed: [1]})];
+  gamepad.update();
+  assert.equal(gamepad.connected, true);
+  assert.equal(gamepad.wasConnected, true);
+
+  gamepad.update();
+  assert.equal(gamepad.wasConnected, false);
+
+  pads = [];
+  gamepad.update();
+  assert.equal(gamepad.connected, false);
+  assert.equal(gamepad.wasDisconnected, true);
+  assert.equal(gamepad.isReleased("B"), true);
+
+  gamepad.update();
+  assert.equal(gamepad.wasDisconnected, false);
+});
+
+test("connection events catch a pad replugged between updates", t => {
+  const gamepad = new Gamepad();
+  t.after(() => gamepad.destroy());
+
+  pads = [pad()];
+  gamepad.update();
+
+  connectionEvent("gamepaddisconnected", pads[0]);
+  connectionEvent("gamepadconnected", pads[0]);
+  gamepad.update();
+  assert.equal(gamepad.connected, true);
+  assert.equal(gamepad.wasDisconnected, true);
+  assert.equal(gamepad.wasConnected, true);
+
+  // Another pad doesn't concern this one.
+  connectionEvent("gamepaddisconnected", pad({index: 1}));
+  gamepad.update();
+  assert.equal(gamepad.wasDisconnected, false);
+});
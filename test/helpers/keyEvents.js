@@ -0,0 +1,6 @@
+// Stands in for the DOM so Keyboard can be driven by synthetic key events.
+if (!globalThis.document) globalThis.document = new EventTarget();
+
+export const press = code => document.dispatchEvent(Object.assign(new Event("keydown", {cancelable: true}), {code}));
+
+export const release = code => document.dispatchEvent(Object.assign(new Event("keyup"), {code}));
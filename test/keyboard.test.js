@@ -0,0 +1,96 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {press, release} from "./helpers/keyEvents.js";
+import Keyboard from "../Keyboard.js";
+
+test("chord triggers when its last key is pressed while the rest are held", t => {
+  const keyboard = new Keyboard();
+  t.after(() => keyboard.destroy());
+  keyboard.registerChord("save", ["ControlLeft", "ShiftLeft", "KeyS"]);
+
+  press("ControlLeft");
+  press("ShiftLeft");
+  keyboard.update(0);
+  assert.equal(keyboard.isTriggered("save"), false);
+
+  press("KeyS");
+  keyboard.update(16);
+  assert.equal(keyboard.isTriggered("save"), true);
+
+  keyboard.update(32);
+  assert.equal(keyboard.isTriggered("save"), false);
+
+  release("ShiftLeft");
+  release("KeyS");
+  keyboard.update(48);
+  press("KeyS");
+  keyboard.update(64);
+  assert.equal(keyboard.isTriggered("save"), false);
+});
+
+test("double tap sequence triggers within maxInterval", t => {
+  const keyboard = new Keyboard();
+  t.after(() => keyboard.destroy());
+  keyboard.registerSequence("dash", ["ArrowRight", "ArrowRight"], 0.3);
+
+  press("ArrowRight");
+  keyboard.update(0);
+  release("ArrowRight");
+  keyboard.update(100);
+  assert.equal(keyboard.isTriggered("dash"), false);
+
+  press("ArrowRight");
+  keyboard.update(200);
+  assert.deepEqual(keyboard.getTriggered(), new Set(["dash"]));
+});
+
+test("sequence times out when presses are too far apart", t => {
+  const keyboard = new Keyboard();
+  t.after(() => keyboard.destroy());
+  keyboard.registerSequence("dash", ["ArrowRight", "ArrowRight"], 0.3);
+
+  press("ArrowRight");
+  keyboard.update(0);
+  release("ArrowRight");
+  keyboard.update(100);
+  press("ArrowRight");
+  keyboard.update(400);
+  assert.equal(keyboard.isTriggered("dash"), false);
+});
+
+test("sequence breaks when another key is pressed in between", t => {
+  const keyboard = new Keyboard();
+  t.after(() => keyboard.destroy());
+  keyboard.registerSequence("dash", ["ArrowRight", "ArrowRight"], 0.3);
+
+  press("ArrowRight");
+  keyboard.update(0);
+  release("ArrowRight");
+  press("KeyA");
+  keyboard.update(50);
+  press("ArrowRight");
+  keyboard.update(100);
+  assert.equal(keyboard.isTriggered("dash"), false);
+});
+
+test("isHeldFor measures hold duration from the press update", t => {
+  const keyboard = new Keyboard();
+  t.after(() => keyboard.destroy());
+
+  press("Space");
+  keyboard.update(1000);
+  assert.equal(keyboard.getPressTime("Space"), 1000);
+  assert.equal(keyboard.isHeldFor("Space", 0.5), false);
+
+  keyboard.update(1400);
+  assert.equal(keyboard.getHoldDuration("Space"), 0.4);
+  assert.equal(keyboard.isHeldFor("Space", 0.5), false);
+
+  keyboard.update(1500);
+  assert.equal(keyboard.isHeldFor("Space", 0.5), true);
+
+  release("Space");
+  keyboard.update(1600);
+  assert.equal(keyboard.getHoldDuration("Space"), 0);
+  assert.equal(keyboard.isHeldFor("Space", 0.5), false);
+});
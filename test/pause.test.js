@@ -0,0 +1,77 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import World from "../src/World.js";
+import ManualClock from "../src/ManualClock.js";
+
+test("only runWhilePaused systems run while paused, and they can tell", () => {
+  const clock = new ManualClock();
+  const world = new World(0.02, 10, clock);
+  const ran = [];
+  new world.System({
+    update() {
+      ran.push(["game", world.pausedTick]);
+    }
+  });
+  new world.System({
+    update() {
+      ran.push(["input", world.pausedTick]);
+    }
+  }, {runWhilePaused: true});
+
+  world.start();
+  clock.tick(20);
+  world.pause();
+  clock.tick(20);
+  world.stop();
+
+  assert.deepEqual(ran, [["game", false], ["input", false], ["input", true]]);
+  assert.equal(world.pausedTick, false);
+});
+
+test("a system throwing during a paused tick doesn't leave the world paused", () => {
+  const clock = new ManualClock();
+  const world = new World(0.02, 10, clock);
+  let updates = 0;
+  new world.System({
+    update() {
+      throw Error("broken");
+    }
+  }, {runWhilePaused: true, name: "broken"});
+  new world.System({
+    update() {
+      updates++;
+    }
+  });
+
+  world.start();
+  world.pause();
+  assert.throws(() => clock.tick(20), {message: "broken"});
+  world.stop();
+  assert.equal(world.pausedTick, false);
+
+  world.systemsByName.get("broken").deactivate();
+  world.step(0.02);
+  assert.equal(updates, 1);
+});
+
+test("stepOnce only queues a tick while paused", () => {
+  const clock = new ManualClock();
+  const world = new World(0.02, 10, clock);
+  let updates = 0;
+  new world.System({
+    update() {
+      updates++;
+    }
+  });
+
+  world.start();
+  assert.equal(world.stepOnce(), false);
+  world.pause();
+  clock.tick(20);
+  assert.equal(updates, 0);
+  assert.equal(world.stepOnce(), true);
+  clock.tick(20);
+  clock.tick(20);
+  world.stop();
+  assert.equal(updates, 1);
+});
@@ -0,0 +1,29 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import World from "../src/World.js";
+
+test("dependencies are installed first", () => {
+  const world = new World();
+  const installed = [];
+  const physics = {name: "physics", install: () => installed.push("physics")};
+  const player = {name: "player", dependencies: [physics], install: () => installed.push("player")};
+
+  world.use(player);
+  assert.deepEqual(installed, ["physics", "player"]);
+  assert.throws(() => world.uninstall("physics"), {message: "Can't uninstall physics because player depends on it."});
+});
+
+test("plugins that depend on each other throw naming the cycle", () => {
+  const world = new World();
+  const a = {name: "a", install() {}};
+  const b = {name: "b", dependencies: [a], install() {}};
+  const c = {name: "c", dependencies: [b], install() {}};
+  a.dependencies = [c];
+
+  assert.throws(() => world.use(a), {message: "Plugin dependencies have a cycle: a -> c -> b -> a."});
+  assert.equal(world.plugins.size, 0);
+
+  a.dependencies = [];
+  world.use(c);
+  assert.deepEqual(Array.from(world.plugins.keys()), ["a", "b", "c"]);
+});
@@ -0,0 +1,134 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {press, release} from "./helpers/keyEvents.js";
+import Keyboard from "../Keyboard.js";
+import InputRecorder from "../InputRecorder.js";
+import InputReplayer from "../InputReplayer.js";
+import World from "../src/World.js";
+import ManualClock from "../src/ManualClock.js";
+
+// What a system could ask the keyboard on one tick.
+const observe = keyboard => ({
+  held: Array.from(keyboard.getHeldKeys()),
+  pressTime: keyboard.getPressTime("KeyS"),
+  holdDuration: keyboard.getHoldDuration("KeyS"),
+  heldLong: keyboard.isHeldFor("KeyS", 0.03),
+  saved: keyboard.isTriggered("save"),
+  triggered: Array.from(keyboard.getTriggered())
+});
+
+test("replay reports the same holds and triggers as live input", t => {
+  const keyboard = new Keyboard();
+  t.after(() => keyboard.destroy());
+  keyboard.registerChord("save", ["ControlLeft", "KeyS"]);
+  const recorder = new InputRecorder(keyboard);
+  const inputs = [
+    () => press("ControlLeft"),
+    () => press("KeyS"),
+    () => {},
+    () => {},
+    () => release("KeyS")
+  ];
+
+  const live = [];
+  inputs.forEach((input, i) => {
+    input();
+    keyboard.update(i * 20);
+    recorder.capture(0.02);
+    live.push(observe(keyboard));
+  });
+
+  const replayer = new InputReplayer(JSON.parse(JSON.stringify({recording: recorder})).recording);
+  replayer.registerChord("save", ["ControlLeft", "KeyS"]);
+  const replayed = inputs.map(() => {
+    replayer.update();
+    return observe(replayer);
+  });
+
+  assert.deepEqual(replayed, live);
+  assert.equal(live[1].saved, true);
+  assert.equal(live[3].heldLong, true);
+});
+
+// A world where holding ArrowRight moves the player, reading input from keyboard.
+const createWorld = (keyboard, onInput = () => {}, clock) => {
+  const world = new World(0.02, 10, clock);
+  world.setResource("keyboard", keyboard);
+  const position = new world.ComponentType("position", 0);
+  new world.System({
+    earlyUpdate(deltaT, now) {
+      this.resources.keyboard.update(now);
+      onInput(deltaT, world.pausedTick);
+    }
+  }, {priority: -1, resources: ["keyboard"], runWhilePaused: true});
+  new world.System([position], {
+    update(deltaT) {
+      if (!this.resources.keyboard.isHeld("ArrowRight")) return;
+      for (const entity of this.entities) {
+        entity.setComponent(position, entity.getComponent(position) + 100 * deltaT);
+      }
+    }
+  }, {resources: ["keyboard"]});
+  const player = new world.Entity("player");
+  player.addComponent(position);
+  return {world, player, position};
+};
+
+test("replay steps a fresh world into the same state as the recorded session", t => {
+  const keyboard = new Keyboard();
+  t.after(() => keyboard.destroy());
+  const recorder = new InputRecorder(keyboard);
+  const live = createWorld(keyboard, (deltaT, paused) => recorder.capture(deltaT, paused));
+
+  live.world.step(0.02);
+  press("ArrowRight");
+  live.world.step(0.03);
+  live.world.step(0.01);
+  release("ArrowRight");
+  live.world.step(0.02);
+  press("ArrowRight");
+  live.world.step(0.05);
+
+  const replayer = new InputReplayer(JSON.stringify(recorder));
+  const replayed = createWorld(replayer);
+  replayer.replay(replayed.world);
+
+  assert.equal(replayer.done, true);
+  assert.equal(live.player.getComponent(live.position), 100 * (0.03 + 0.01 + 0.05));
+  assert.equal(replayed.player.getComponent(replayed.position), live.player.getComponent(live.position));
+});
+
+test("replay throws when nothing updates the replayer once per tick", () => {
+  const replayer = new InputReplayer({version: 1, ticks: [{deltaT: 0.02, pressed: [], released: [], held: []}]});
+  const world = new World();
+
+  assert.throws(() => replayer.replay(world), {message: "Replayer wasn't updated exactly once during tick 0."});
+});
+
+test("ticks recorded while paused are skipped on replay", t => {
+  const keyboard = new Keyboard();
+  t.after(() => keyboard.destroy());
+  const recorder = new InputRecorder(keyboard);
+  const clock = new ManualClock();
+  const live = createWorld(keyboard, (deltaT, paused) => recorder.capture(deltaT, paused), clock);
+
+  live.world.start();
+  press("ArrowRight");
+  clock.tick(20);
+  live.world.pause();
+  clock.tick(20);
+  release("ArrowRight");
+  clock.tick(20);
+  live.world.resume();
+  press("ArrowRight");
+  clock.tick(20);
+  live.world.stop();
+
+  assert.deepEqual(recorder.ticks.map(tick => tick.paused), [false, true, true, false]);
+  const replayer = new InputReplayer(JSON.stringify(recorder));
+  const replayed = createWorld(replayer);
+  replayer.replay(replayed.world);
+
+  assert.equal(live.player.getComponent(live.position), 100 * (0.02 + 0.02));
+  assert.equal(replayed.player.getComponent(replayed.position), live.player.getComponent(live.position));
+});
@@ -0,0 +1,154 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import World from "../src/World.js";
+import LocalTransport from "../src/LocalTransport.js";
+import ReplicationServer from "../src/ReplicationServer.js";
+import ReplicationClient from "../src/ReplicationClient.js";
+
+// Both worlds define the same component types, as a game's shared code would.
+const createWorld = () => {
+  const world = new World();
+  return {
+    world,
+    networked: new world.ComponentType("networked"),
+    position: new world.ComponentType("position", () => ({x: 0, y: 0})),
+    frozen: new world.ComponentType("frozen"),
+    local: new world.ComponentType("local", 0)
+  };
+};
+
+// A server world and a client world connected through a LocalTransport pair.
+const connect = () => {
+  const server = createWorld();
+  const client = createWorld();
+  const [serverEnd, clientEnd] = LocalTransport.pair();
+  const messages = [];
+  clientEnd.onMessage(message => messages.push(message));
+  const replicationServer = new ReplicationServer(server.world, serverEnd, server.networked, [server.position, server.frozen]);
+  const replicationClient = new ReplicationClient(client.world, clientEnd);
+  const tick = () => {
+    server.world.step(0.02);
+    client.world.step(0.02);
+  };
+  return {server, client, replicationServer, replicationClient, messages, tick};
+};
+
+const spawn = ({world, networked}, name, components = []) => {
+  const entity = new world.Entity(name);
+  entity.addComponent(networked);
+  for (const component of components) {
+    if (component instanceof world.ComponentType) entity.addComponent(component);
+    else entity.addComponent(...component);
+  }
+  return entity;
+};
+
+test("spawns networked entities with their replicated components", () => {
+  const {server, client, messages, tick} = connect();
+  const ship = spawn(server, "ship", [[server.position, {x: 1, y: 2}], server.local]);
+  const turret = spawn(server, "turret", [server.frozen]);
+  turret.setParent(ship);
+  new server.world.Entity("offline").addComponent(server.position);
+
+  tick();
+
+  assert.deepEqual(messages.at(-1).spawned, [
+    {id: ship.handle, name: "ship", components: {position: {x: 1, y: 2}}},
+    {id: turret.handle, name: "turret", parent: ship.handle, tags: ["frozen"]}
+  ]);
+  const clientShip = client.world.getByName("ship");
+  const clientTurret = client.world.getByName("turret");
+  assert.deepEqual(clientShip.getComponent(client.position), {x: 1, y: 2});
+  assert.equal(clientShip.hasComponent(client.local), false);
+  assert.equal(clientTurret.hasComponent(client.frozen), true);
+  assert.equal(clientTurret.parent, clientShip);
+  assert.equal(client.world.getByName("offline"), undefined);
+});
+
+test("sends only what changed, and nothing when nothing did", () => {
+  const {server, client, messages, tick} = connect();
+  const ship = spawn(server, "ship", [server.position, server.frozen]);
+  const other = spawn(server, "other", [server.position]);
+  tick();
+
+  ship.getComponent(server.position).x = 5;
+  ship.deleteComponent(server.frozen);
+  tick();
+
+  assert.deepEqual(messages.at(-1).changed, [{id: ship.handle, components: {position: {x: 5, y: 0}}, removed: ["frozen"]}]);
+  const clientShip = client.world.getByName("ship");
+  assert.deepEqual(clientShip.getComponent(client.position), {x: 5, y: 0});
+  assert.equal(clientShip.hasComponent(client.frozen), false);
+  assert.deepEqual(client.world.getByName("other").getComponent(client.position), {x: 0, y: 0});
+
+  const count = messages.length;
+  other.addComponent(server.local);
+  tick();
+  assert.equal(messages.length, count);
+});
+
+test("reparenting is replicated", () => {
+  const {server, client, tick} = connect();
+  const a = spawn(server, "a");
+  const b = spawn(server, "b");
+  const child = spawn(server, "child");
+  child.setParent(a);
+  tick();
+
+  child.setParent(b);
+  tick();
+  assert.equal(client.world.getByName("child").parent, client.world.getByName("b"));
+
+  child.setParent(null);
+  tick();
+  assert.equal(client.world.getByName("child").parent, null);
+});
+
+test("despawns entities that die or stop being networked", () => {
+  const {server, client, replicationClient, messages, tick} = connect();
+  const parent = spawn(server, "parent");
+  const child = spawn(server, "child");
+  child.setParent(parent);
+  const dropped = spawn(server, "dropped");
+  const survivor = spawn(server, "survivor");
+  tick();
+
+  const ids = [parent.handle, child.handle, dropped.handle];
+  parent.die();
+  dropped.deleteComponent(server.networked);
+  tick();
+
+  assert.deepEqual(messages.at(-1).despawned.sort(), ids.sort());
+  assert.equal(client.world.getByName("parent"), undefined);
+  assert.equal(client.world.getByName("child"), undefined);
+  assert.equal(client.world.getByName("dropped"), undefined);
+  assert.equal(client.world.entities.size, 1);
+  assert.equal(replicationClient.entities.get(survivor.handle), client.world.getByName("survivor"));
+});
+
+test("a snapshot resyncs a client that connected late", () => {
+  const {server, replicationServer, tick} = connect();
+  const ship = spawn(server, "ship", [[server.position, {x: 3, y: 4}]]);
+  spawn(server, "turret").setParent(ship);
+  tick();
+
+  const late = createWorld();
+  const [serverEnd, clientEnd] = LocalTransport.pair();
+  const lateServer = new ReplicationServer(server.world, serverEnd, server.networked, [server.position]);
+  const lateClient = new ReplicationClient(late.world, clientEnd);
+  new late.world.Entity("stale");
+  lateClient.apply({tick: 1, spawned: [{id: 1000, name: "ghost"}]});
+
+  lateServer.sendSnapshot();
+  late.world.step(0.02);
+
+  assert.equal(late.world.getByName("ghost"), undefined);
+  assert.deepEqual(late.world.getByName("ship").getComponent(late.position), {x: 3, y: 4});
+  assert.equal(late.world.getByName("turret").parent, late.world.getByName("ship"));
+  assert.ok(late.world.getByName("stale"));
+  assert.equal(lateClient.tick, lateServer.tick);
+
+  replicationServer.destroy();
+  lateServer.destroy();
+  lateClient.destroy();
+});
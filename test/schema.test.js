@@ -0,0 +1,56 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import World from "../src/World.js";
+import Schema from "../src/Schema.js";
+
+test("merge fills missing fields in place", () => {
+  const schema = new Schema({x: "number", y: {type: "number", default: 1}, tags: {type: "array", items: "string"}});
+  const value = {x: 2};
+
+  assert.equal(schema.merge(value), value);
+  assert.deepEqual(value, {x: 2, y: 1, tags: []});
+  assert.deepEqual(schema.merge(undefined), {x: 0, y: 1, tags: []});
+});
+
+test("components with schemas keep the values they're given", () => {
+  const world = new World();
+  const changes = [];
+  const position = new world.ComponentType("position", undefined, {
+    schema: {x: "number", y: "number"},
+    onChange: (entity, newValue, oldValue) => changes.push([newValue, oldValue])
+  });
+  const entity = new world.Entity();
+  const value = {x: 1};
+
+  entity.addComponent(position, value);
+  assert.equal(entity.getComponent(position), value);
+  assert.deepEqual(value, {x: 1, y: 0});
+
+  value.x = 5;
+  entity.setComponent(position, value);
+  assert.equal(entity.getComponent(position), value);
+  assert.deepEqual(changes, []);
+
+  const next = {y: 3};
+  entity.setComponent(position, next);
+  assert.equal(entity.getComponent(position), next);
+  assert.deepEqual(changes, [[{x: 0, y: 3}, value]]);
+});
+
+test("invalid values are rejected in dev mode", () => {
+  const world = new World();
+  world.devMode = true;
+  const position = new world.ComponentType("position", undefined, {schema: {x: "number"}});
+  const entity = new world.Entity("player");
+
+  assert.throws(() => entity.addComponent(position, {x: "1"}), {message: "Invalid position component on entity player: value.x must be number, got string."});
+});
+
+test("field maps can have a field named type", () => {
+  const schema = new Schema({type: "string", damage: "number"});
+
+  assert.deepEqual(schema.defaults(), {type: "", damage: 0});
+  assert.equal(schema.check({type: "sword", damage: 3}), null);
+  assert.equal(new Schema({type: "object", fields: {type: "string"}}).check({type: "sword"}), null);
+  assert.equal(new Schema({type: "string", default: "sword"}).defaults(), "sword");
+});
@@ -0,0 +1,67 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import World from "../src/World.js";
+
+const names = world => world.systems.map(system => system.name);
+const system = (world, name, options = {}) => new world.System({}, {name, ...options});
+
+test("systems without constraints run by ascending priority, then activation order", () => {
+  const world = new World();
+  system(world, "late", {priority: 10});
+  system(world, "first");
+  system(world, "second");
+  system(world, "early", {priority: -10});
+
+  assert.deepEqual(names(world), ["early", "first", "second", "late"]);
+});
+
+test("after and before take precedence over priority", () => {
+  const world = new World();
+  const physics = system(world, "physics", {priority: 100});
+  system(world, "render", {priority: -100, after: physics});
+  system(world, "input", {priority: 200, before: "physics"});
+
+  assert.deepEqual(names(world), ["input", "physics", "render"]);
+});
+
+test("chains of constraints are ordered transitively", () => {
+  const world = new World();
+  system(world, "d", {after: "c"});
+  system(world, "c", {after: "b"});
+  system(world, "b", {after: "a"});
+  system(world, "a", {priority: 1});
+
+  assert.deepEqual(names(world), ["a", "b", "c", "d"]);
+});
+
+test("names of systems that don't exist yet apply once they're activated", () => {
+  const world = new World();
+  system(world, "movement", {after: "acceleration"});
+  assert.deepEqual(names(world), ["movement"]);
+
+  system(world, "acceleration", {priority: 5});
+  assert.deepEqual(names(world), ["acceleration", "movement"]);
+});
+
+test("deactivating and reactivating a system re-sorts around it", () => {
+  const world = new World();
+  const acceleration = system(world, "acceleration", {priority: 5});
+  system(world, "movement", {after: acceleration});
+  system(world, "other", {priority: 1});
+
+  acceleration.deactivate();
+  assert.deepEqual(names(world), ["movement", "other"]);
+
+  acceleration.activate();
+  assert.deepEqual(names(world), ["other", "acceleration", "movement"]);
+});
+
+test("a cycle throws naming the systems in it and leaves the order as it was", () => {
+  const world = new World();
+  system(world, "a", {after: "c"});
+  system(world, "b", {after: "a"});
+
+  assert.throws(() => system(world, "c", {after: "b"}), {message: "System order has a cycle: b -> c -> a -> b."});
+  assert.deepEqual(names(world), ["a", "b"]);
+  assert.equal(world.systemsByName.has("c"), false);
+});